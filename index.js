@@ -1,103 +1,765 @@
 import * as fs from 'fs';
+import * as path from 'path';
 import * as acorn from 'acorn';
 import * as periscopic from 'periscopic';
 import * as estreewalker from 'estree-walker';
 import * as escodegen from 'escodegen';
+import * as csstree from 'css-tree';
+import { encode } from '@jridgewell/sourcemap-codec';
+import { decodeHTML, decodeHTMLAttribute, escapeAttribute, escapeText } from 'entities';
 
-export function buildAppJs() {
+// pass `{ css: 'external' }` to write the styles into `./app.css`,
+// instead of injecting them at runtime
+export function buildAppJs(options = {}) {
   // the basic structure
-  const content = fs.readFileSync('./app.svelte', 'utf-8');
+  const styles = buildComponent('./app.svelte', 'dom', './app.js', options);
+  writeStyles(styles, options);
+}
+
+// pass `{ async: true }` to await the `{#await}` blocks during server-side rendering,
+// and `{ hmr: true }` to hot-replace the components in the browser
+export function buildAppAndSsr(options = {}) {
+  const styles = buildComponent('./app.svelte', 'dom', './app.js', options);
+  writeStyles(styles, options);
+  buildComponent('./app.svelte', 'ssr', './ssr.js', options);
+}
+
+function writeStyles(styles, { css = 'injected' }) {
+  if (css === 'external') {
+    fs.writeFileSync('./app.css', styles.join('\n'), 'utf-8');
+  }
+}
+
+// compile the component, and the components it imports,
+// eg: `./Counter.svelte` into `./Counter.js` and `./Counter.ssr.js`.
+// returns the styles of the components
+function buildComponent(
+  filename,
+  compileTarget,
+  outputFilename,
+  options = {},
+  built = new Set()
+) {
+  built.add(path.normalize(filename));
+  const content = fs.readFileSync(filename, 'utf-8');
+  // the runtime sits in `./runtime`, eg: `../runtime` for `./components/Counter.js`
+  const runtime = path
+    .relative(path.dirname(outputFilename), './runtime')
+    .split(path.sep)
+    .join('/');
+  const { js, css, ast, warnings, errors } = compile(content, {
+    ...options,
+    filename,
+    generate: compileTarget,
+    runtime: runtime.startsWith('.') ? runtime : `./${runtime}`,
+    recover: true,
+  });
+  if (errors.length > 0) {
+    throw new AggregateError(errors, `${filename} failed to compile`);
+  }
+  // the source map sits next to the compiled component
+  const mapFilename = `${outputFilename}.map`;
+  fs.writeFileSync(
+    outputFilename,
+    `${js.code}\n//# sourceMappingURL=${path.basename(mapFilename)}\n`,
+    'utf-8'
+  );
+  fs.writeFileSync(
+    mapFilename,
+    JSON.stringify({ ...js.map, sources: [path.basename(filename)] }),
+    'utf-8'
+  );
+  if (compileTarget === 'dom') {
+    warnings.forEach(({ message }) => console.warn(`${filename}: ${message}`));
+  }
+
+  const styles = css ? [css.code] : [];
+  // the imported components
+  const dependencies = ast.script.body
+    .filter((node) => node.type === 'ImportDeclaration')
+    .map((node) => node.source.value)
+    .filter((source) => source.endsWith('.svelte'));
+  dependencies.forEach((dependency) => {
+    const dependencyFilename = path.join(path.dirname(filename), dependency);
+    if (built.has(dependencyFilename)) return;
+    styles.push(
+      ...buildComponent(
+        dependencyFilename,
+        compileTarget,
+        dependencyFilename.replace(
+          /\.svelte$/,
+          compileTarget === 'ssr' ? '.ssr.js' : '.js'
+        ),
+        options,
+        built
+      )
+    );
+  });
+  return styles;
+}
+
+// compile the source of a component, without touching the filesystem.
+// - `generate`: `'dom'` for the browser, `'ssr'` for the server
+// - `dev`: add runtime checks, eg: warn about unknown props
+// - `hydratable`: whether the component hydrates the server-rendered html by default
+// - `css`: `'injected'` appends the styles at runtime, `'external'` leaves them to the caller
+// - `async`: await the `{#await}` blocks during server-side rendering
+// - `hmr`: let the new versions of the component replace the running instances,
+//   see `runtime/hmr.js`
+// - `runtime`: the path of the runtime directory, relative to the compiled component
+// - `recover`: collect the syntax errors into `errors`, instead of throwing the first one
+export function compile(
+  source,
+  {
+    filename = 'Component.svelte',
+    generate: compileTarget = 'dom',
+    dev = false,
+    hydratable = true,
+    css = 'injected',
+    async = false,
+    hmr = false,
+    runtime = './runtime',
+    recover = false,
+  } = {}
+) {
+  const errors = [];
+  // the analysis rewrites the ast in place, hand out an untouched one
+  const ast = parse(source, { filename, errors: recover ? errors : null });
+  if (errors.length > 0) {
+    return { js: null, css: null, ast, warnings: [], vars: [], errors };
+  }
+  const marker = markerPrefix(source);
+  const analysis = analyse(
+    addSourceMarkers(parse(source, { filename }), marker),
+    { source, filename, hmr }
+  );
+  const options = {
+    name: path.basename(filename, path.extname(filename)),
+    source,
+    filename,
+    dev,
+    hydratable,
+    css,
+    async,
+    hmr,
+    runtime,
+  };
+  const code =
+    compileTarget === 'ssr'
+      ? generateSSR(analysis.ast, analysis, options)
+      : generate(analysis.ast, analysis, options);
+  return {
+    js: withSourceMap(code, source, filename, marker),
+    css: analysis.css ? { code: analysis.css.code, map: null } : null,
+    ast,
+    warnings: analysis.warnings,
+    vars: getVars(analysis),
+    errors,
+  };
+}
+
+// the error thrown for invalid components, with the position in the `.svelte` file
+export class CompileError extends Error {
+  constructor(code, message, { source, filename, start, end = start }) {
+    super(message);
+    this.name = 'CompileError';
+    this.code = code;
+    this.filename = filename;
+    this.pos = start;
+    this.start = locate(source, start);
+    this.end = locate(source, end);
+    this.frame = codeFrame(source, this.start);
+  }
+  toString() {
+    return `${this.filename ? `${this.filename}:` : ''}${this.start.line}:${
+      this.start.column
+    } ${this.message}\n${this.frame}`;
+  }
+}
+
+// the line (1-based) and column (0-based) of the offset
+function locate(source, offset) {
+  const lines = source.slice(0, offset).split('\n');
+  return { line: lines.length, column: lines.at(-1).length, character: offset };
+}
+
+// the lines around the location, pointing at the column, eg:
+// 2:   let count = ;
+//                  ^
+function codeFrame(source, { line, column }) {
+  const lines = source.split('\n');
+  const first = Math.max(line - 3, 0);
+  const last = Math.min(line + 2, lines.length);
+  const width = String(last).length;
+  const tabsToSpaces = (str) => str.replace(/\t/g, '  ');
+  return lines
+    .slice(first, last)
+    .map((content, index) => {
+      const lineNumber = String(first + index + 1).padStart(width);
+      const frame = `${lineNumber}: ${tabsToSpaces(content)}`;
+      if (first + index + 1 !== line) return frame;
+      const indent = width + 2 + tabsToSpaces(content.slice(0, column)).length;
+      return `${frame}\n${' '.repeat(indent)}^`;
+    })
+    .join('\n');
+}
+
+// mark the source positions of the statements and the template expressions,
+// eg: `/*@42*/`, they are printed along with the generated code
+function addSourceMarkers(ast, marker = '@') {
+  const mark = (node) => {
+    node.leadingComments = [
+      { type: 'Block', value: `${marker}${node.start}` },
+    ];
+  };
+  const isStatement = (node) =>
+    /(Statement|Declaration)$/.test(node.type) &&
+    node.type !== 'BlockStatement';
+  estreewalker.walk(ast.script, {
+    enter(node) {
+      if (isStatement(node)) mark(node);
+    },
+  });
+  const markTemplate = (fragment) =>
+    estreewalker.walk(fragment, {
+      enter(node, parent) {
+        // the walker skips the branches of `{#if}`, as they have no type
+        if (node.type === 'IfBlock') node.branches.forEach(markTemplate);
+        if (!(node instanceof acorn.Node)) return;
+        // the expressions of the template
+        if (!(parent instanceof acorn.Node) || isStatement(node)) mark(node);
+      },
+    });
+  ast.html.forEach(markTemplate);
+  return ast;
+}
 
-  fs.writeFileSync('./app.js', compile(content, 'dom'), 'utf-8');
+// the markers start with more `@` than the source contains after a `/*`,
+// so that the code of the component, eg: `"/*@1*/"`, is not taken for a marker
+function markerPrefix(source) {
+  let marker = '@';
+  while (source.includes(`/*${marker}`)) marker += '@';
+  return marker;
 }
 
-export function buildAppAndSsr() {
-  const content = fs.readFileSync('./app.svelte', 'utf-8');
-  fs.writeFileSync('./app.js', compile(content, 'dom'), 'utf-8');
-  fs.writeFileSync('./ssr.js', compile(content, 'ssr'), 'utf-8');
+// strip the source position markers out of the generated code,
+// and turn them into a source map
+function withSourceMap(code, source, filename, marker = '@') {
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') lineStarts.push(i + 1);
+  }
+  let output = '';
+  let column = 0;
+  const mappings = [[]];
+  // append the code, keeping track of the generated position
+  const append = (str) => {
+    const lines = str.split('\n');
+    lines.slice(1).forEach(() => mappings.push([]));
+    column = lines.length > 1 ? lines.at(-1).length : column + str.length;
+    output += str;
+  };
+  let lastIndex = 0;
+  const markers = new RegExp(`/\\*${marker}(\\d+)\\*/\\s*`, 'g');
+  for (const match of code.matchAll(markers)) {
+    append(code.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+    // keep the tokens apart
+    if (output !== '' && !/\s$/.test(output)) append(' ');
+
+    const offset = Number(match[1]);
+    let line = lineStarts.length - 1;
+    while (lineStarts[line] > offset) line--;
+    const segments = mappings.at(-1);
+    if (segments.at(-1)?.[0] !== column) {
+      segments.push([column, 0, line, offset - lineStarts[line]]);
+    }
+  }
+  append(code.slice(lastIndex));
+  return {
+    code: output,
+    map: {
+      version: 3,
+      sources: [filename],
+      sourcesContent: [source],
+      names: [],
+      mappings: encode(mappings),
+    },
+  };
 }
 
-function compile(content, compileTarget) {
-  const ast = parse(content);
-  const analysis = analyse(ast);
-  return compileTarget === 'ssr'
-    ? generateSSR(ast, analysis)
-    : generate(ast, analysis);
+// the top-level variables of the component
+function getVars(analysis) {
+  const vars = Array.from(analysis.rootScope.declarations).map(
+    ([name, declaration]) => ({
+      name,
+      export_name: analysis.props.has(name) ? name : null,
+      injected: false,
+      imported: declaration.type.startsWith('Import'),
+      reassigned: analysis.reassigned.has(name),
+      referenced: analysis.willUseInTemplate.has(name),
+      writable:
+        declaration.type === 'VariableDeclaration' && declaration.kind !== 'const',
+    })
+  );
+  // `$: double = count * 2;` declares `double`
+  analysis.reactiveDeclarations.forEach(({ declarations }) => {
+    declarations.forEach((name) =>
+      vars.push({
+        name,
+        export_name: null,
+        injected: true,
+        imported: false,
+        reassigned: true,
+        referenced: analysis.willUseInTemplate.has(name),
+        writable: true,
+      })
+    );
+  });
+  // `$count` is the value of the store `count`
+  analysis.stores.forEach((name) =>
+    vars.push({
+      name: `$${name}`,
+      export_name: null,
+      injected: true,
+      imported: false,
+      reassigned: false,
+      referenced: analysis.willUseInTemplate.has(`$${name}`),
+      writable: true,
+    })
+  );
+  return vars;
 }
 
-function parse(content) {
+// pass an `errors` array to collect the syntax errors and carry on parsing
+function parse(content, { filename = null, errors = null } = {}) {
   let i = 0;
   const ast = {};
-  ast.html = parseFragments(() => i < content.length);
+  // the names of the elements being parsed
+  const openElements = [];
+  ast.html = trimWhitespace(parseFragments(() => i < content.length));
+  // components without <script>
+  ast.script = ast.script ?? {
+    type: 'Program',
+    body: [],
+    sourceType: 'module',
+  };
 
   return ast;
 
   function parseFragments(condition) {
     const fragments = [];
-    while (condition()) {
-      const fragment = parseFragment();
-      if (fragment) {
-        fragments.push(fragment);
+    while (i < content.length && condition()) {
+      const start = i;
+      try {
+        const fragment = parseFragment();
+        if (fragment) {
+          fragments.push(fragment);
+        }
+      } catch (error) {
+        recover(error);
+        // carry on from the next tag or mustache
+        i = Math.max(i, error.pos + 1, start + 1);
+        readWhileMatching(/[^<{]/);
       }
     }
     return fragments;
   }
   function parseFragment() {
-    return parseScript() ?? parseElement() ?? parseExpression() ?? parseText();
+    const start = i;
+    const fragment =
+      parseScript() ??
+      parseStyle() ??
+      parseComment() ??
+      parseElement() ??
+      parseBlock() ??
+      parseExpression() ??
+      parseText();
+    if (fragment) {
+      fragment.start = start;
+      fragment.end = i;
+    }
+    return fragment;
   }
   function parseScript() {
     if (match('<script>')) {
       eat('<script>');
       const startIndex = i;
       const endIndex = content.indexOf('</script>', i);
+      if (endIndex === -1) {
+        i = content.length;
+        error(
+          'unclosed-script',
+          '<script> must have a closing tag',
+          startIndex
+        );
+      }
       const code = content.slice(startIndex, endIndex);
-      ast.script = acorn.parse(code, { ecmaVersion: 2022 });
+      try {
+        ast.script = shiftPositions(
+          acorn.parse(code, { ecmaVersion: 2022, sourceType: 'module' }),
+          startIndex
+        );
+      } catch (error) {
+        recover(jsError(error, startIndex));
+      }
       i = endIndex;
       eat('</script>');
     }
   }
+  function parseStyle() {
+    if (match('<style>')) {
+      eat('<style>');
+      const startIndex = i;
+      const endIndex = content.indexOf('</style>', i);
+      if (endIndex === -1) {
+        i = content.length;
+        error('unclosed-style', '<style> must have a closing tag', startIndex);
+      }
+      const code = content.slice(startIndex, endIndex);
+      ast.style = {
+        content: code,
+        ast: csstree.parse(code, {
+          onParseError(error) {
+            recover(
+              compileError(
+                'css-syntax-error',
+                error.message,
+                startIndex + error.offset
+              )
+            );
+          },
+        }),
+      };
+      i = endIndex;
+      eat('</style>');
+    }
+  }
   function parseElement() {
     if (match('<')) {
+      const start = i;
       eat('<');
-      const tagName = readWhileMatching(/[a-z]/);
+      if (match('/')) {
+        eat('/');
+        const tagName = readWhileMatching(/[^\s>]/);
+        error(
+          'invalid-closing-tag',
+          `</${tagName}> attempted to close ${
+            voidElements.has(tagName)
+              ? `<${tagName}>, which is a void element`
+              : openElements.includes(tagName)
+              ? `<${tagName}> before the block inside it was closed`
+              : 'an element that was not open'
+          }`,
+          start
+        );
+      }
+      // eg: `h1`, `my-element`, `svelte:head`
+      const tagName = readWhileMatching(/[\w:-]/);
+      if (!/^[a-zA-Z]/.test(tagName)) {
+        error('invalid-tag-name', 'Expected a valid element or component name');
+      }
+      if (tagName.includes(':') && tagName !== 'svelte:head') {
+        error('invalid-tag-name', `<${tagName}> is not supported`, start);
+      }
       const attributes = parseAttributeList();
-      eat('>');
-      const endTag = `</${tagName}>`;
-
+      let type = 'Element';
+      if (tagName === 'svelte:head') {
+        type = 'Head';
+      } else if (/^[A-Z]/.test(tagName)) {
+        // <Counter /> is a component
+        type = 'InlineComponent';
+      } else if (tagName === 'slot') {
+        type = 'Slot';
+      }
       const element = {
-        type: 'Element',
+        type,
         name: tagName,
         attributes,
-        children: parseFragments(() => !match(endTag)),
+        children: [],
       };
-      eat(endTag);
+      if (match('/>')) {
+        eat('/>');
+        return element;
+      }
+      eat('>');
+      // <input> and <br> have neither children nor closing tag
+      if (voidElements.has(tagName)) return element;
+      // like browsers do, ignore the newline right after <pre>
+      if (isPreformatted(tagName)) {
+        if (match('\r')) eat('\r');
+        if (match('\n')) eat('\n');
+      }
+      // the children end at the closing tag of this or any enclosing element
+      openElements.push(tagName);
+      element.children = parseFragments(
+        () => !openElements.some((name) => match(`</${name}>`))
+      );
+      openElements.pop();
+      const endTag = `</${tagName}>`;
+      if (!match(endTag) && match('</')) {
+        error('unclosed-element', `<${tagName}> was left open`, start);
+      }
+      eatClosing(endTag, `<${tagName}>`, start);
       return element;
     }
   }
   function parseAttributeList() {
     const attributes = [];
     skipWhitespace();
-    while (!match('>')) {
-      attributes.push(parseAttribute());
+    while (!match('>') && !match('/>')) {
+      const start = i;
+      const attribute = parseAttribute();
+      attribute.start = start;
+      attribute.end = i;
+      attributes.push(attribute);
       skipWhitespace();
     }
     return attributes;
   }
   function parseAttribute() {
-    const name = readWhileMatching(/[^=]/);
-    eat('={');
-    const value = parseJavaScript();
-    eat('}');
+    if (match('{')) {
+      eat('{');
+      skipWhitespace();
+      // {...props}
+      if (match('...')) {
+        eat('...');
+        const expression = parseJavaScript();
+        skipWhitespace();
+        eat('}');
+        return {
+          type: 'Spread',
+          expression,
+        };
+      }
+      // {name} is short for name={name}
+      const expression = parseJavaScript();
+      skipWhitespace();
+      eat('}');
+      return {
+        type: 'Attribute',
+        name: expression.name,
+        value: [{ type: 'Expression', expression }],
+      };
+    }
+    // `on:click|preventDefault` has the modifiers `preventDefault`
+    const [name, ...modifiers] = readWhileMatching(/[^\s=>/"']/).split('|');
+    if (name === '') {
+      if (i >= content.length) {
+        error('unexpected-eof', 'Unexpected end of input');
+      }
+      error('invalid-attribute', 'Expected an attribute name');
+    }
+    // boolean attribute, eg: <input disabled>
+    let value = true;
+    if (match('=')) {
+      eat('=');
+      if (match('"') || match("'")) {
+        const quote = content[i];
+        eat(quote);
+        value = parseAttributeValue(new RegExp(`[^${quote}{]`));
+        eat(quote);
+      } else {
+        value = parseAttributeValue(/[^\s>"'=<`{]/);
+      }
+    }
     return {
       type: 'Attribute',
       name,
+      ...(modifiers.length > 0 && { modifiers }),
       value,
     };
   }
+  // the value of an attribute is a list of text and {expression}
+  function parseAttributeValue(textRegex) {
+    const value = [];
+    while (i < content.length) {
+      if (match('{')) {
+        eat('{');
+        const expression = parseJavaScript();
+        skipWhitespace();
+        eat('}');
+        value.push({ type: 'Expression', expression });
+      } else {
+        const text = readWhileMatching(textRegex);
+        if (text === '') break;
+        value.push({ type: 'Text', value: decodeHTMLAttribute(text) });
+      }
+    }
+    return value;
+  }
+  function parseBlock() {
+    const start = i;
+    // `{:else}` or `{/if}` outside of their block
+    if (match('{:') || match('{/')) {
+      const tag = content.slice(i, content.indexOf('}', i) + 1 || i + 2);
+      error('invalid-block', `${tag} is not within a block`);
+    }
+    if (match('{#if')) {
+      eat('{#if');
+      skipWhitespace();
+      const block = {
+        type: 'IfBlock',
+        branches: [],
+        alternate: null,
+      };
+      let expression = parseJavaScript();
+      skipWhitespace();
+      eat('}');
+      while (true) {
+        const children = parseFragments(() => !match('{:') && !match('{/'));
+        block.branches.push({ expression, children });
+        if (match('{:else if')) {
+          eat('{:else if');
+          skipWhitespace();
+          expression = parseJavaScript();
+          skipWhitespace();
+          eat('}');
+        } else {
+          break;
+        }
+      }
+      if (match('{:else')) {
+        eat('{:else');
+        skipWhitespace();
+        eat('}');
+        block.alternate = parseFragments(() => !match('{/'));
+      }
+      eatClosing('{/if}', '{#if}', start);
+      return block;
+    }
+    if (match('{#each')) {
+      eat('{#each');
+      skipWhitespace();
+      const block = {
+        type: 'EachBlock',
+        expression: parseJavaScript(),
+        context: null,
+        index: null,
+        key: null,
+        children: [],
+        alternate: null,
+      };
+      skipWhitespace();
+      eat('as');
+      skipWhitespace();
+      block.context = parsePattern();
+      skipWhitespace();
+      if (match(',')) {
+        eat(',');
+        skipWhitespace();
+        block.index = readWhileMatching(/[\w$]/);
+        skipWhitespace();
+      }
+      if (match('(')) {
+        eat('(');
+        block.key = parseJavaScript();
+        skipWhitespace();
+        eat(')');
+        skipWhitespace();
+      }
+      eat('}');
+      block.children = parseFragments(() => !match('{:') && !match('{/'));
+      if (match('{:else')) {
+        eat('{:else');
+        skipWhitespace();
+        eat('}');
+        block.alternate = parseFragments(() => !match('{/'));
+      }
+      eatClosing('{/each}', '{#each}', start);
+      return block;
+    }
+    if (match('{#await')) {
+      eat('{#await');
+      skipWhitespace();
+      const block = {
+        type: 'AwaitBlock',
+        expression: parseJavaScript(),
+        value: null,
+        error: null,
+        pending: null,
+        then: null,
+        catch: null,
+      };
+      skipWhitespace();
+      // `{#await promise then value}` and `{#await promise catch error}` skip the pending branch
+      let branch = parseAwaitBranch(block) ?? 'pending';
+      eat('}');
+      while (true) {
+        block[branch] = parseFragments(() => !match('{:') && !match('{/'));
+        if (!match('{:')) break;
+        eat('{:');
+        branch = parseAwaitBranch(block);
+        if (!branch) {
+          error('unexpected-token', 'Expected "{:then" or "{:catch"');
+        }
+        eat('}');
+      }
+      eatClosing('{/await}', '{#await}', start);
+      return block;
+    }
+  }
+  // parse `then value` or `catch error`, returns the name of the branch
+  function parseAwaitBranch(block) {
+    for (const [branch, name] of [
+      ['then', 'value'],
+      ['catch', 'error'],
+    ]) {
+      if (match(branch)) {
+        eat(branch);
+        skipWhitespace();
+        if (!match('}')) {
+          block[name] = parsePattern();
+          skipWhitespace();
+        }
+        return branch;
+      }
+    }
+  }
+  // parse an identifier or a destructuring pattern, eg: `item`, `{ id, name }`
+  function parsePattern() {
+    const startIndex = i;
+    if (match('{') || match('[')) {
+      let depth = 0;
+      do {
+        if (content[i] === '{' || content[i] === '[') depth++;
+        if (content[i] === '}' || content[i] === ']') depth--;
+        i++;
+      } while (depth > 0 && i < content.length);
+    } else {
+      readWhileMatching(/[\w$]/);
+    }
+    const pattern = content.slice(startIndex, i);
+    return shiftPositions(
+      acorn.parseExpressionAt(`(${pattern}) => {}`, 0, { ecmaVersion: 2022 })
+        .params[0],
+      startIndex - 1
+    );
+  }
   function parseExpression() {
+    // {@html content}
+    if (match('{@html')) {
+      eat('{@html');
+      skipWhitespace();
+      const expression = parseJavaScript();
+      skipWhitespace();
+      eat('}');
+      return {
+        type: 'RawMustacheTag',
+        expression,
+      };
+    }
+    if (match('{@')) {
+      const start = i;
+      eat('{@');
+      const tag = readWhileMatching(/[^\s}]/);
+      error('invalid-tag', `{@${tag}} is not a valid tag`, start);
+    }
     if (match('{')) {
       eat('{');
+      skipWhitespace();
       const expression = parseJavaScript();
+      skipWhitespace();
       eat('}');
       return {
         type: 'Expression',
@@ -105,19 +767,78 @@ function parse(content) {
       };
     }
   }
+  // <!-- comment -->, and <!doctype html>
+  function parseComment() {
+    const start = i;
+    if (match('<!--')) {
+      eat('<!--');
+      const endIndex = content.indexOf('-->', i);
+      if (endIndex === -1) {
+        i = content.length;
+        error('unclosed-comment', 'comment was left open', start);
+      }
+      const data = content.slice(i, endIndex);
+      i = endIndex;
+      eat('-->');
+      return { type: 'Comment', data };
+    }
+    if (/^<!doctype/i.test(content.slice(i, i + 9))) {
+      i += '<!doctype'.length;
+      skipWhitespace();
+      const value = readWhileMatching(/[^>]/).trim();
+      eat('>');
+      return { type: 'Doctype', value };
+    }
+  }
   function parseText() {
-    const text = readWhileMatching(/[^<{]/);
-    if (text.trim() !== '') {
+    let text = readWhileMatching(/[^<{]/);
+    // whitespace collapses into a single space, except in <pre>
+    if (!openElements.some(isPreformatted)) {
+      text = text.replace(/[ \t\r\n\f]+/g, ' ');
+    }
+    if (text !== '') {
       return {
         type: 'Text',
-        value: text,
+        value: decodeHTML(text),
       };
     }
   }
   function parseJavaScript() {
-    const js = acorn.parseExpressionAt(content, i, { ecmaVersion: 2022 });
-    i = js.end;
-    return js;
+    try {
+      const js = acorn.parseExpressionAt(content, i, { ecmaVersion: 2022 });
+      i = js.end;
+      return js;
+    } catch (error) {
+      throw jsError(error);
+    }
+  }
+
+  function compileError(code, message, start = i, end = start) {
+    return new CompileError(code, message, {
+      source: content,
+      filename,
+      start,
+      end,
+    });
+  }
+  function error(code, message, start, end) {
+    throw compileError(code, message, start, end);
+  }
+  // the errors of acorn are positioned relative to the parsed code
+  function jsError(error, offset = 0) {
+    if (!(error instanceof SyntaxError) || error.pos === undefined) {
+      return error;
+    }
+    return compileError(
+      'js-parse-error',
+      error.message.replace(/ \(\d+:\d+\)$/, ''),
+      error.pos + offset
+    );
+  }
+  // collect the error when recovering, otherwise throw it
+  function recover(error) {
+    if (!errors || !(error instanceof CompileError)) throw error;
+    errors.push(error);
   }
 
   // return `true` or `false` if the character pointing by `i` matches the string
@@ -127,9 +848,22 @@ function parse(content) {
   function eat(str) {
     if (match(str)) {
       i += str.length;
+    } else if (i >= content.length) {
+      error('unexpected-eof', 'Unexpected end of input');
     } else {
-      throw new Error(`Parse error: expecting "${str}"`);
+      error('unexpected-token', `Expected "${str}"`);
+    }
+  }
+  // eat the closing tag of the element or block opened at `start`
+  function eatClosing(str, name, start) {
+    if (i >= content.length) {
+      error(
+        name.startsWith('<') ? 'unclosed-element' : 'unclosed-block',
+        `${name} was left open`,
+        start
+      );
     }
+    eat(str);
   }
   function readWhileMatching(regex) {
     let startIndex = i;
@@ -142,47 +876,117 @@ function parse(content) {
     readWhileMatching(/[\s\n]/);
   }
 }
-function analyse(ast) {
+function analyse(ast, { source = '', filename = null, hmr = false } = {}) {
   const result = {
     variables: new Set(),
     willChange: new Set(),
     willUseInTemplate: new Set(),
+    // the variables assigned by the component itself
+    reassigned: new Set(),
+    warnings: [],
+    ast,
   };
 
+  // scope the styles before the template is analysed, as it adds classes to the elements.
+  // with hmr, the class does not change along with the styles, so that editing
+  // the styles leaves the javascript as it is
+  result.css = ast.style
+    ? scopeStyle(ast, result.warnings, hmr ? filename : ast.style.content)
+    : null;
+
+  // `export let count = 0;` declares the prop `count`
+  result.props = new Set();
+  ast.script.body = ast.script.body.map((node) => {
+    if (node.type === 'ExportNamedDeclaration' && node.declaration) {
+      if (
+        node.declaration.type === 'VariableDeclaration' &&
+        node.declaration.kind !== 'const'
+      ) {
+        node.declaration.declarations.forEach((declarator) => {
+          periscopic.extract_names(declarator.id).forEach((name) => {
+            result.props.add(name);
+            // props are updated by the parent
+            result.willChange.add(name);
+          });
+        });
+      }
+      return node.declaration;
+    }
+    return node;
+  });
+  // imports are hoisted out of the component function
+  result.imports = ast.script.body.filter(
+    (node) => node.type === 'ImportDeclaration'
+  );
+
   const { scope: rootScope, map, globals } = periscopic.analyze(ast.script);
-  result.variables = new Set(rootScope.declarations.keys());
+  result.variables = new Set(
+    Array.from(rootScope.declarations)
+      .filter(([, declaration]) => !declaration.type.startsWith('Import'))
+      .map(([name]) => name)
+  );
   result.rootScope = rootScope;
   result.map = map;
+  // `$count` reads the value of the store `count`
+  function isStoreSubscription(name) {
+    return (
+      /^\$[^$]/.test(name) &&
+      rootScope.declarations.has(name.slice(1)) &&
+      !rootScope.declarations.has(name)
+    );
+  }
 
+  // `$: double = count * 2;`, `$: console.log(count);`, `$: if (count > 10) { ... }`
   const reactiveDeclarations = [];
   const toRemove = new Set();
   ast.script.body.forEach((node, index) => {
     if (node.type === 'LabeledStatement' && node.label.name === '$') {
       toRemove.add(node);
       const body = node.body;
-      const left = body.expression.left;
-      const right = body.expression.right;
-      const dependencies = [];
-
-      estreewalker.walk(right, {
-        enter(node) {
-          if (node.type === 'Identifier') {
-            dependencies.push(node.name);
+
+      // the top-level variables assigned by the statement
+      const assignees = getAssignedNames(body);
+      // the names read by the statement, the targets of `=` are only written
+      const read = estreewalker.walk(structuredClone(body), {
+        leave(node) {
+          if (node.type === 'AssignmentExpression' && node.operator === '=') {
+            this.replace(node.right);
           }
         },
       });
-      result.willChange.add(left.name);
-      const reactiveDeclaration = {
-        assignees: [left.name],
-        dependencies: dependencies,
+      const dependencies = extract_names(read);
+
+      // `$: double = count * 2;` declares `double`
+      const declarations =
+        body.type === 'ExpressionStatement' &&
+        body.expression.type === 'AssignmentExpression' &&
+        body.expression.operator === '='
+          ? periscopic
+              .extract_names(body.expression.left)
+              .filter(
+                (name) =>
+                  !rootScope.declarations.has(name) &&
+                  !isStoreSubscription(name)
+              )
+          : [];
+
+      assignees.forEach((name) => result.willChange.add(name));
+      reactiveDeclarations.push({
+        assignees,
+        dependencies,
+        declarations,
         node: body,
+        start: node.start,
         index,
-      };
-      reactiveDeclarations.push(reactiveDeclaration);
+      });
     }
   });
+  result.imports.forEach((node) => toRemove.add(node));
   ast.script.body = ast.script.body.filter((node) => !toRemove.has(node));
-  result.reactiveDeclarations = reactiveDeclarations;
+  result.reactiveDeclarations = sortReactiveDeclarations(
+    reactiveDeclarations,
+    { source, filename }
+  );
 
   let currentScope = rootScope;
   estreewalker.walk(ast.script, {
@@ -196,11 +1000,14 @@ function analyse(ast) {
           node.type === 'UpdateExpression' ? node.argument : node.left
         );
         for (const name of names) {
+          // assigning `$count` sets the store, which updates the subscription
+          if (isStoreSubscription(name)) continue;
           if (
             currentScope.find_owner(name) === rootScope ||
             globals.has(name)
           ) {
             result.willChange.add(name);
+            result.reassigned.add(name);
           }
         }
       }
@@ -210,384 +1017,2755 @@ function analyse(ast) {
     },
   });
 
+  // names declared by `{#each}` blocks, mapped to the names of the list
+  let contexts = new Map();
   function traverse(fragment) {
     switch (fragment.type) {
       case 'Element':
+      case 'InlineComponent':
+      case 'Slot':
+      case 'Head':
         fragment.children.forEach((child) => traverse(child));
         fragment.attributes.forEach((attribute) => traverse(attribute));
         break;
       case 'Attribute':
-        result.willUseInTemplate.add(fragment.value.name);
+        if (isBinding(fragment)) {
+          // the bound variable is assigned by the element,
+          // binding to an item of `{#each}` changes the list
+          const name = getRootName(directiveExpression(fragment));
+          (contexts.get(name) ?? [name]).forEach((name) => {
+            if (result.variables.has(name)) {
+              result.willChange.add(name);
+              result.reassigned.add(name);
+            }
+            result.willUseInTemplate.add(name);
+          });
+        } else if (fragment.value !== true) {
+          // `on:click={() => count++}` assigns `count`
+          if (fragment.name.startsWith('on:')) {
+            getAssignedNames(fragment.value[0].expression)
+              .flatMap((name) => contexts.get(name) ?? [name])
+              .forEach((name) => {
+                if (result.variables.has(name)) {
+                  result.willChange.add(name);
+                  result.reassigned.add(name);
+                }
+              });
+          }
+          fragment.value.forEach((part) => {
+            if (part.type === 'Expression') {
+              extract_names(part.expression).forEach((name) => {
+                result.willUseInTemplate.add(name);
+              });
+            }
+          });
+        }
         break;
-      case 'Expression': {
+      case 'Spread':
         extract_names(fragment.expression).forEach((name) => {
           result.willUseInTemplate.add(name);
         });
         break;
-      }
-    }
-  }
-  ast.html.forEach((fragment) => traverse(fragment));
-
-  return result;
-}
-function generate(ast, analysis) {
-  const code = {
-    variables: [],
-    create: [],
-    update: [],
-    destroy: [],
-    reactiveDeclarations: [],
-  };
-
-  let counter = 1;
-  let hydration_index = 0;
-  let hydration_parent = 'target';
-  function traverse(node, parent) {
-    switch (node.type) {
-      case 'Element': {
-        const variableName = `${node.name}_${counter++}`;
-        code.variables.push(variableName);
-        code.create.push(
-          `${variableName} = should_hydrate ? ${hydration_parent}.childNodes[${hydration_index++}] : document.createElement('${
-            node.name
-          }');`
-        );
-        node.attributes.forEach((attribute) => {
-          traverse(attribute, variableName);
-        });
-
-        const current_hydration_parent = hydration_parent;
-        const current_hydration_index = hydration_index;
-        hydration_parent = variableName;
-        hydration_index = 0;
-        node.children.forEach((child) => {
-          traverse(child, variableName);
+      case 'Expression':
+      case 'RawMustacheTag': {
+        extract_names(fragment.expression).forEach((name) => {
+          result.willUseInTemplate.add(name);
         });
-        hydration_parent = current_hydration_parent;
-        hydration_index = current_hydration_index;
-
-        code.create.push(
-          `if (!should_hydrate) ${parent}.appendChild(${variableName})`
-        );
-        code.destroy.push(`${parent}.removeChild(${variableName})`);
         break;
       }
-      case 'Text': {
-        const variableName = `txt_${counter++}`;
-        code.variables.push(variableName);
-        code.create.push(
-          `${variableName} = should_hydrate ? ${hydration_parent}.childNodes[${hydration_index++}] : document.createTextNode('${
-            node.value
-          }')`
-        );
-        hydration_index++;
-        code.create.push(
-          `if (!should_hydrate) ${parent}.appendChild(${variableName})`
-        );
+      case 'IfBlock': {
+        fragment.branches.forEach((branch) => {
+          extract_names(branch.expression).forEach((name) => {
+            result.willUseInTemplate.add(name);
+          });
+          branch.children.forEach((child) => traverse(child));
+        });
+        if (fragment.alternate) {
+          fragment.alternate.forEach((child) => traverse(child));
+        }
         break;
       }
-      case 'Attribute': {
-        if (node.name.startsWith('on:')) {
-          const eventName = node.name.slice(3);
-          const eventHandler = node.value.name;
-          code.create.push(
-            `${parent}.addEventListener('${eventName}', ${eventHandler});`
-          );
-          code.destroy.push(
-            `${parent}.removeEventListener('${eventName}', ${eventHandler});`
-          );
+      case 'EachBlock': {
+        const names = extract_names(fragment.expression);
+        names.forEach((name) => {
+          result.willUseInTemplate.add(name);
+        });
+        const current_contexts = contexts;
+        contexts = new Map(contexts);
+        periscopic
+          .extract_names(fragment.context)
+          .forEach((name) => contexts.set(name, names));
+        fragment.children.forEach((child) => traverse(child));
+        contexts = current_contexts;
+        if (fragment.alternate) {
+          fragment.alternate.forEach((child) => traverse(child));
         }
         break;
       }
-      case 'Expression': {
-        const variableName = `txt_${counter++}`;
-        const expressionStr = escodegen.generate(node.expression);
-        code.variables.push(variableName);
-        code.create.push(
-          `${variableName} = should_hydrate ? ${hydration_parent}.childNodes[${hydration_index++}] : document.createTextNode(${expressionStr})`
-        );
-        hydration_index++;
-        code.create.push(
-          `if (!should_hydrate) ${parent}.appendChild(${variableName});`
-        );
-        const names = extract_names(node.expression);
-        if (names.some((name) => analysis.willChange.has(name))) {
-          const changes = new Set();
-          names.forEach((name) => {
-            if (analysis.willChange.has(name)) {
-              changes.add(name);
-            }
-          });
-          let condition;
-          if (changes.size > 1) {
-            condition = `${JSON.stringify(
-              Array.from(changes)
-            )}.some(name => changed.includes(name))`;
-          } else {
-            condition = `changed.includes('${Array.from(changes)[0]}')`;
+      case 'AwaitBlock': {
+        extract_names(fragment.expression).forEach((name) => {
+          result.willUseInTemplate.add(name);
+        });
+        ['pending', 'then', 'catch'].forEach((branch) => {
+          if (fragment[branch]) {
+            fragment[branch].forEach((child) => traverse(child));
           }
-          code.update.push(`if (${condition}) {
-            ${variableName}.data = ${expressionStr};
-          }`);
-        }
+        });
         break;
       }
     }
   }
+  ast.html.forEach((fragment) => traverse(fragment));
 
-  ast.html.forEach((fragment) => traverse(fragment, 'target'));
+  // the stores subscribed to by the component, their values change with the stores
+  result.stores = new Set(
+    [...globals.keys(), ...result.willUseInTemplate]
+      .filter(isStoreSubscription)
+      .map((name) => name.slice(1))
+  );
+  result.stores.forEach((name) => result.willChange.add(`$${name}`));
 
-  const { rootScope, map } = analysis;
-  let currentScope = rootScope;
+  // the names the reactive declarations depend on
+  result.reactiveDependencies = new Set(
+    reactiveDeclarations.flatMap(({ dependencies }) => dependencies)
+  );
+
+  // `items.push(item)` changes `items` without updating the component,
+  // unless it is followed by `items = items`
+  const ancestors = [];
+  currentScope = rootScope;
   estreewalker.walk(ast.script, {
-    enter(node, parent) {
+    enter(node) {
       if (map.has(node)) currentScope = map.get(node);
+      ancestors.push(node);
       if (
-        node.type === 'UpdateExpression' ||
-        node.type === 'AssignmentExpression'
+        node.type !== 'CallExpression' ||
+        node.callee.type !== 'MemberExpression' ||
+        node.callee.computed ||
+        !mutatingMethods.has(node.callee.property.name)
       ) {
-        const names = periscopic
-          .extract_names(
-            node.type === 'UpdateExpression' ? node.argument : node.left
-          )
-          .filter(
-            (name) =>
-              currentScope.find_owner(name) === rootScope &&
-              analysis.willUseInTemplate.has(name)
-          );
-        if (names.length > 0) {
-          this.replace({
+        return;
+      }
+      const name = getRootName(node.callee.object);
+      if (
+        currentScope.find_owner(name) !== rootScope ||
+        result.stores.has(name) ||
+        !(
+          result.willUseInTemplate.has(name) ||
+          result.reactiveDependencies.has(name)
+        )
+      ) {
+        return;
+      }
+      const [block, statement] = ancestors.slice(-3, -1);
+      const statements = Array.isArray(block?.body) ? block.body : [];
+      const assigned = statements
+        .slice(statements.indexOf(statement) + 1)
+        .some(
+          (next) =>
+            next.type === 'ExpressionStatement' &&
+            next.expression.type === 'AssignmentExpression' &&
+            next.expression.left.type === 'Identifier' &&
+            next.expression.left.name === name
+        );
+      if (!assigned) {
+        result.warnings.push({
+          code: 'non-reactive-mutation',
+          message: `\`${name}.${node.callee.property.name}()\` does not update the component, assign \`${name} = ${name}\` afterwards`,
+          start: locate(source, node.start),
+          end: locate(source, node.end),
+        });
+      }
+    },
+    leave(node) {
+      if (map.has(node)) currentScope = currentScope.parent;
+      ancestors.pop();
+    },
+  });
+
+  return result;
+}
+
+// the methods changing the array, map or set they are called on
+const mutatingMethods = new Set([
+  'push',
+  'pop',
+  'shift',
+  'unshift',
+  'splice',
+  'sort',
+  'reverse',
+  'fill',
+  'copyWithin',
+  'set',
+  'add',
+  'delete',
+  'clear',
+]);
+
+// order the reactive declarations after the ones assigning their dependencies,
+// keeping the original order otherwise
+function sortReactiveDeclarations(declarations, { source, filename }) {
+  const sorted = [];
+  const visiting = [];
+  function visit(declaration) {
+    if (sorted.includes(declaration)) return;
+    if (visiting.includes(declaration)) {
+      const cycle = visiting.slice(visiting.indexOf(declaration));
+      const names = [...cycle, declaration].map(({ assignees }) =>
+        assignees.join(', ')
+      );
+      throw new CompileError(
+        'cyclical-reactive-declaration',
+        `Cyclical dependency detected: ${names.join(' → ')}`,
+        { source, filename, start: declaration.start }
+      );
+    }
+    visiting.push(declaration);
+    declarations
+      .filter(
+        (other) =>
+          other !== declaration &&
+          other.assignees.some(
+            (name) =>
+              declaration.dependencies.includes(name) &&
+              // a declaration may update what it depends on, eg: `$: count = count % 10`
+              !declaration.assignees.includes(name)
+          )
+      )
+      .forEach(visit);
+    visiting.pop();
+    sorted.push(declaration);
+  }
+  declarations.forEach(visit);
+  return sorted;
+}
+function generate(
+  ast,
+  analysis,
+  {
+    name = 'Component',
+    source = '',
+    filename = null,
+    dev = false,
+    hydratable = true,
+    css = 'injected',
+    hmr = false,
+    runtime = './runtime',
+  } = {}
+) {
+  const code = {
+    imports: new Set([
+      'schedule_update',
+      'set_current_component',
+      'run_all',
+      'run_on_mount',
+      'add_listener',
+      'detach_unclaimed',
+    ]),
+    variables: [],
+    create: [],
+    update: [],
+    destroy: [],
+    blocks: [],
+    mount: [],
+    // the outros delaying the removal of the block
+    outros: [],
+    reactiveDeclarations: [],
+  };
+
+  let counter = 1;
+  // the block (component root, a branch of `{#if}` or a row of `{#each}`)
+  // currently being generated
+  let block = code;
+  // name of the array of server-rendered nodes that are claimed during hydration
+  let hydration_nodes = 'nodes';
+  // in dev mode, the hydration mismatches are reported with the name of the component
+  const claimComponent = dev ? `, '${name}'` : '';
+  // names declared by `{#each}` blocks, mapped to the names they depend on
+  let contexts = new Map();
+  // the only element of the keyed each block being generated, which can use `animate:`
+  let animatable = null;
+
+  function error(code, message, node) {
+    throw new CompileError(code, message, {
+      source,
+      filename,
+      start: node.start,
+      end: node.end,
+    });
+  }
+  // top-level nodes of a block are inserted before the block's anchor
+  function insert(parent, variableName) {
+    return parent === 'target'
+      ? `target.insertBefore(${variableName}, anchor);`
+      : `${parent}.appendChild(${variableName});`;
+  }
+  function anchorOf(parent) {
+    return parent === 'target' ? 'anchor' : 'null';
+  }
+  // eg: `claim_element(nodes, target, anchor, 'div')`
+  function claim(fn, parent, valueStr) {
+    code.imports.add(fn);
+    return `$$${fn}(${hydration_nodes}, ${parent}, ${anchorOf(
+      parent
+    )}, ${valueStr}${claimComponent})`;
+  }
+  // keep track of the top-level nodes of a block, so that the block can be moved
+  function addMount(parent, { first, last, move }) {
+    if (parent === 'target') {
+      block.mount.push({ first, last, move });
+    }
+  }
+  const elementModifiers = [
+    'preventDefault',
+    'stopPropagation',
+    'capture',
+    'once',
+    'passive',
+    'self',
+  ];
+  function eventModifiers(attribute, validModifiers) {
+    const modifiers = attribute.modifiers ?? [];
+    modifiers.forEach((modifier) => {
+      if (!validModifiers.includes(modifier)) {
+        error(
+          'invalid-event-modifier',
+          validModifiers === elementModifiers
+            ? `Valid event modifiers are ${validModifiers.join(', ')}`
+            : `Event modifiers other than ${validModifiers.join(
+                ', '
+              )} can only be used on DOM elements`,
+          attribute
+        );
+      }
+    });
+    if (modifiers.includes('passive') && modifiers.includes('preventDefault')) {
+      error(
+        'invalid-event-modifier',
+        'The passive and preventDefault modifiers cannot be used together',
+        attribute
+      );
+    }
+    return modifiers;
+  }
+  // `on:click={handler}` calls the current value of `handler`,
+  // `on:click` forwards the event to the listeners of the component
+  function eventHandler(attribute, thisArg) {
+    if (attribute.value === true) {
+      code.imports.add('bubble');
+      return '(event) => $$bubble($$lifecycle_callbacks, event)';
+    }
+    const expression = instrumentHandler(attribute.value[0].expression);
+    return `(event) => (${print(expression)})?.call(${thisArg}, event)`;
+  }
+  // `on:click={() => count++}` updates the component, like the assignments of the script
+  function instrumentHandler(expression) {
+    if (analysis.stores.size > 0) {
+      code.imports.add('set_store_value');
+      expression = instrumentStoreAssignments(expression, analysis.stores);
+    }
+    const { map, scope } = periscopic.analyze(expression);
+    let currentScope = scope;
+    return estreewalker.walk(expression, {
+      enter(node) {
+        if (map.has(node)) currentScope = map.get(node);
+      },
+      leave(node) {
+        if (map.has(node)) currentScope = currentScope.parent;
+        if (
+          node.type !== 'UpdateExpression' &&
+          node.type !== 'AssignmentExpression'
+        ) {
+          return;
+        }
+        // assigning an item of `{#each}` changes the list
+        const indices = toIndices(
+          periscopic
+            .extract_names(
+              node.type === 'UpdateExpression' ? node.argument : node.left
+            )
+            .filter((name) => !currentScope.find_owner(name))
+            .flatMap((name) => contexts.get(name) ?? [name])
+        );
+        if (indices.length > 0) {
+          this.replace({
             type: 'SequenceExpression',
             expressions: [
               node,
-              acorn.parseExpressionAt(`update(${JSON.stringify(names)})`, 0, {
-                ecmaVersion: 2022,
-              }),
+              acorn.parseExpressionAt(
+                `$$update(${JSON.stringify(indices)})`,
+                0,
+                { ecmaVersion: 2022 }
+              ),
             ],
           });
-          this.skip();
         }
+      },
+    });
+  }
+  // every variable that will change gets a bit in the `$$dirty` bitmask of the component,
+  // the slot props always use the 1st bit, so that the parent and the child agree on it
+  const bits = new Map(
+    ['$$slot_props', ...analysis.willChange].map((name, index) => [name, index])
+  );
+  const words = Math.ceil(bits.size / 31);
+  function toIndices(names) {
+    return names.filter((name) => bits.has(name)).map((name) => bits.get(name));
+  }
+  function toMask(names) {
+    const masks = Array(words).fill(0);
+    toIndices(names).forEach((index) => {
+      masks[(index / 31) | 0] |= 1 << index % 31;
+    });
+    return masks;
+  }
+  // eg: `changed[0] & 5` when the 1st or the 3rd variable has changed
+  function changedCondition(names, changed = 'changed') {
+    const masks = toMask(names);
+    const conditions = masks
+      .map((mask, word) => (mask ? `${changed}[${word}] & ${mask}` : null))
+      .filter(Boolean);
+    if (conditions.length === 0) return 'false';
+    return conditions.length > 1
+      ? `(${conditions.join(' || ')})`
+      : conditions[0];
+  }
+  function willChangeNames(expression) {
+    const names = extract_names(expression).flatMap((name) => {
+      if (contexts.has(name)) return contexts.get(name);
+      return analysis.willChange.has(name) ? [name] : [];
+    });
+    return Array.from(new Set(names));
+  }
+  // generate a function that returns a block for the given fragments,
+  // ie: `{ create, update, destroy, ... }`
+  function createBlock(fragments, params = []) {
+    const name = `create_block_${counter++}`;
+    const current_block = block;
+    const current_hydration_nodes = hydration_nodes;
+    block = {
+      variables: [],
+      create: [],
+      update: [],
+      destroy: [],
+      blocks: [],
+      mount: [],
+      outros: [],
+      animation: null,
+    };
+    hydration_nodes = 'nodes';
+    fragments.forEach((fragment) => traverse(fragment, 'target'));
+
+    const { mount, outros, animation } = block;
+    current_block.blocks.push(`
+      function ${name}(${params.join(', ')}) {
+        ${block.variables.map((v) => `let ${v};`).join('\n')}
+        ${block.blocks.join('\n')}
+        return {
+          create(target, anchor, nodes) {
+            const should_hydrate = !!nodes;
+            ${block.create.join('\n')}
+          },
+          update(changed) {
+            ${block.update.join('\n')}
+          },
+          destroy(target) {
+            ${
+              outros.length > 0
+                ? `Promise.all([${outros.join(', ')}]).then(() => {
+                    ${block.destroy.join('\n')}
+                  });`
+                : block.destroy.join('\n')
+            }
+          },
+          ${
+            animation
+              ? `measure() {
+                  return ${animation.variableName}.getBoundingClientRect();
+                },
+                animate(from) {
+                  $$run_animation(${animation.variableName}, from, ${animation.fn}, ${animation.params});
+                },`
+              : ''
+          }
+          ${
+            params.length > 0
+              ? `set(...values) {
+                  [${params.join(', ')}] = values;
+                },`
+              : ''
+          }
+          move(target, anchor) {
+            ${mount.map(({ move }) => move).join('\n')}
+          },
+          first() {
+            return ${mount.length > 0 ? `${mount[0].first} ?? null` : 'null'};
+          },
+          last() {
+            return ${mount.length > 0 ? mount[mount.length - 1].last : 'null'};
+          },
+        };
       }
-      if (node.type === 'VariableDeclarator' && parent.kind !== 'const') {
-        const name = node.id.name;
-        if (currentScope.find_owner(name) === rootScope) {
+    `);
+    block = current_block;
+    hydration_nodes = current_hydration_nodes;
+    return name;
+  }
+
+  // `transition:fade` plays when the block of the element is created and destroyed,
+  // `in:fly` only when it is created and `out:fade` only when it is destroyed
+  function transition(directive, element, variableName) {
+    const [type, fn] = directive.name.split(':');
+    if (!analysis.rootScope.declarations.has(fn)) {
+      error('missing-declaration', `'${fn}' is not defined`, directive);
+    }
+    const params =
+      directive.value === true
+        ? 'undefined'
+        : print(directive.value[0].expression);
+    if (type === 'animate') {
+      if (element !== animatable) {
+        error(
+          'invalid-animation',
+          'An element that uses the animate directive must be the only child of a keyed each block',
+          directive
+        );
+      }
+      code.imports.add('run_animation');
+      block.animation = { variableName, fn, params };
+      return;
+    }
+    if (
+      element.attributes.filter(
+        (attribute) =>
+          attribute.name.startsWith(`${type}:`) ||
+          attribute.name.startsWith('transition:')
+      ).length > 1
+    ) {
+      error(
+        'duplicate-transition',
+        `An element can only have one '${type}' directive`,
+        directive
+      );
+    }
+    // the initial render of the component does not play the intros
+    if (type === 'transition' || type === 'in') {
+      code.imports.add('transition_in');
+      block.create.push(
+        `if ($$intros_enabled) $$transition_in(${variableName}, ${fn}, ${params});`
+      );
+    }
+    if (type === 'transition' || type === 'out') {
+      code.imports.add('transition_out');
+      block.outros.push(`$$transition_out(${variableName}, ${fn}, ${params})`);
+    }
+  }
+
+  // bind:value={name}, bind:checked={name}, bind:group={name} and bind:this={name}
+  function bind(binding, element, variableName) {
+    const property = binding.name.slice('bind:'.length);
+    const expression = directiveExpression(binding);
+    const expressionStr = print(expression);
+    // assign to the bound variable, and invalidate the root variable it belongs to
+    const root = getRootName(expression);
+    // binding to `$count` sets the store, which updates the subscription
+    const invalidate =
+      !contexts.has(root) && analysis.stores.has(root.slice(1))
+        ? `${root.slice(1)}.set(${root})`
+        : `$$update(${JSON.stringify(
+            toIndices(contexts.has(root) ? contexts.get(root) : [root])
+          )})`;
+
+    if (property === 'this') {
+      block.create.push(
+        `${expressionStr} = ${variableName};`,
+        `${invalidate};`
+      );
+      block.destroy.push(`${expressionStr} = null;`);
+      return;
+    }
+
+    const type = element.attributes.find(
+      (attribute) => attribute.name === 'type' && isStaticAttribute(attribute)
+    )?.value[0]?.value;
+    let eventName = 'change';
+    let getValue;
+    let setValue;
+    let isUpToDate;
+    if (property === 'value' && element.name === 'select') {
+      code.imports.add('input_value');
+      code.imports.add('select_option');
+      getValue = `${variableName}.selectedOptions[0] ? $$input_value(${variableName}.selectedOptions[0]) : undefined`;
+      setValue = `$$select_option(${variableName}, ${expressionStr});`;
+    } else if (property === 'value') {
+      eventName = 'input';
+      if (type === 'number' || type === 'range') {
+        code.imports.add('to_number');
+        getValue = `$$to_number(${variableName}.value)`;
+      } else {
+        getValue = `${variableName}.value`;
+      }
+      // avoid resetting the cursor while typing
+      isUpToDate = `${getValue} === ${expressionStr}`;
+      setValue = `${variableName}.value = ${expressionStr} ?? '';`;
+    } else if (property === 'checked') {
+      getValue = `${variableName}.checked`;
+      setValue = `${variableName}.checked = ${expressionStr};`;
+    } else if (property === 'group') {
+      code.imports.add('input_value');
+      const value = `$$input_value(${variableName})`;
+      if (type === 'checkbox') {
+        getValue = `${variableName}.checked ? [...${expressionStr}, ${value}] : ${expressionStr}.filter((value) => value !== ${value})`;
+        setValue = `${variableName}.checked = ${expressionStr}.includes(${value});`;
+      } else {
+        getValue = value;
+        setValue = `${variableName}.checked = ${value} === ${expressionStr};`;
+      }
+    } else {
+      error('invalid-binding', `Unknown binding "${binding.name}"`, binding);
+    }
+
+    const handlerName = `${variableName}_${eventName}_handler`;
+    block.blocks.push(`
+      function ${handlerName}() {
+        ${expressionStr} = ${getValue};
+        ${invalidate};
+      }
+    `);
+    block.create.push(
+      setValue,
+      `${variableName}.addEventListener('${eventName}', ${handlerName});`
+    );
+    block.destroy.push(
+      `${variableName}.removeEventListener('${eventName}', ${handlerName});`
+    );
+    const changes = willChangeNames(expression);
+    if (changes.length > 0) {
+      block.update.push(`if (${changedCondition(changes)}${
+        isUpToDate ? ` && !(${isUpToDate})` : ''
+      }) {
+        ${setValue}
+      }`);
+    }
+  }
+  // the content passed to the <slot>s of a component, compiled in the context of the parent.
+  // `let:item` receives the slot prop `item`, which changes along with the child
+  function componentSlots(node) {
+    const slots = groupSlots(node);
+    if (slots.size === 0) return null;
+
+    const entries = Array.from(slots).map(([name, { lets, fragments }]) => {
+      const current_contexts = contexts;
+      contexts = new Map(contexts);
+      const properties = lets.map((attribute) => {
+        const prop = attribute.name.slice('let:'.length);
+        const local = directiveExpression(attribute).name;
+        contexts.set(local, ['$$slot_props']);
+        return prop === local ? prop : `${prop}: ${local}`;
+      });
+      const factory = createBlock(fragments, [`{ ${properties.join(', ')} }`]);
+      contexts = current_contexts;
+      return `${JSON.stringify(name)}: ${factory}`;
+    });
+    return `{ ${entries.join(', ')} }`;
+  }
+  // the props passed to a component, and the names each of them depends on
+  function componentProps(node) {
+    const properties = [];
+    const propChanges = [];
+    let spreadChanges = null;
+    node.attributes.forEach((attribute) => {
+      if (attribute.type === 'Spread') {
+        properties.push(`...(${print(attribute.expression)})`);
+        spreadChanges = spreadChanges ?? [];
+        spreadChanges.push(...willChangeNames(attribute.expression));
+      } else if (!isDirective(attribute)) {
+        const value =
+          attribute.value === true ? 'true' : attributeValue(attribute.value);
+        properties.push(`${JSON.stringify(attribute.name)}: ${value}`);
+        const changes =
+          attribute.value === true
+            ? []
+            : attribute.value.flatMap((part) =>
+                part.type === 'Expression'
+                  ? willChangeNames(part.expression)
+                  : []
+              );
+        if (changes.length > 0) {
+          propChanges.push({
+            name: attribute.name,
+            value,
+            changes: Array.from(new Set(changes)),
+          });
+        }
+      }
+    });
+    if (spreadChanges) {
+      propChanges.forEach(({ changes }) => spreadChanges.push(...changes));
+      spreadChanges = Array.from(new Set(spreadChanges));
+    }
+    return {
+      props: `{ ${properties.join(', ')} }`,
+      spreadChanges,
+      propChanges,
+    };
+  }
+  function spreadAttributes(attributes, parent) {
+    const variableName = `${parent}_attributes`;
+    const properties = [];
+    const changes = new Set();
+    attributes.forEach((attribute) => {
+      if (attribute.type === 'Spread') {
+        properties.push(`...(${print(attribute.expression)})`);
+        willChangeNames(attribute.expression).forEach((name) =>
+          changes.add(name)
+        );
+      } else if (isBinding(attribute) || isTransition(attribute)) {
+        // handled by the element
+      } else if (isDirective(attribute)) {
+        traverse(attribute, parent);
+      } else {
+        properties.push(
+          `${JSON.stringify(attribute.name)}: ${
+            attribute.value === true ? 'true' : attributeValue(attribute.value)
+          }`
+        );
+        if (attribute.value !== true) {
+          attribute.value.forEach((part) => {
+            if (part.type === 'Expression') {
+              willChangeNames(part.expression).forEach((name) =>
+                changes.add(name)
+              );
+            }
+          });
+        }
+      }
+    });
+    const objectStr = `{ ${properties.join(', ')} }`;
+    code.imports.add('set_attributes');
+    block.variables.push(variableName);
+    block.create.push(
+      `${variableName} = $$set_attributes(${parent}, ${objectStr}, {});`
+    );
+    if (changes.size > 0) {
+      block.update.push(`if (${changedCondition(Array.from(changes))}) {
+        ${variableName} = $$set_attributes(${parent}, ${objectStr}, ${variableName});
+      }`);
+    }
+  }
+
+  function traverse(node, parent) {
+    switch (node.type) {
+      case 'Element': {
+        // `my-element` is not a valid name
+        const variableName = `${node.name.replace(/-/g, '_')}_${counter++}`;
+        block.variables.push(variableName);
+        block.create.push(
+          `${variableName} = should_hydrate ? ${claim(
+            'claim_element',
+            parent,
+            `'${node.name}'`
+          )} : document.createElement('${node.name}');`
+        );
+        if (node.attributes.some((attribute) => attribute.type === 'Spread')) {
+          // with {...spread}, all attributes are set together,
+          // so that the later attributes take precedence
+          spreadAttributes(node.attributes, variableName);
+        } else {
+          node.attributes
+            .filter(
+              (attribute) => !isBinding(attribute) && !isTransition(attribute)
+            )
+            .forEach((attribute) => {
+              traverse(attribute, variableName);
+            });
+        }
+
+        const current_hydration_nodes = hydration_nodes;
+        hydration_nodes = `${variableName}_nodes`;
+        block.create.push(
+          `const ${hydration_nodes} = should_hydrate ? Array.from(${variableName}.childNodes) : null;`
+        );
+        node.children.forEach((child) => {
+          traverse(child, variableName);
+        });
+        code.imports.add('detach_unclaimed');
+        block.create.push(
+          `if (should_hydrate) $$detach_unclaimed(${hydration_nodes}${claimComponent});`
+        );
+        hydration_nodes = current_hydration_nodes;
+
+        // bind after the children, so that <select> has its <option>s
+        node.attributes
+          .filter((attribute) => isBinding(attribute))
+          .forEach((binding) => bind(binding, node, variableName));
+
+        block.create.push(
+          `if (!should_hydrate) ${insert(parent, variableName)}`
+        );
+        // the intros start once the element is inserted
+        node.attributes
+          .filter(isTransition)
+          .forEach((directive) => transition(directive, node, variableName));
+        block.destroy.push(`${parent}.removeChild(${variableName})`);
+        addMount(parent, {
+          first: variableName,
+          last: variableName,
+          move: insert(parent, variableName),
+        });
+        break;
+      }
+      case 'Text': {
+        const variableName = `txt_${counter++}`;
+        block.variables.push(variableName);
+        block.create.push(
+          `${variableName} = should_hydrate ? ${claim(
+            'claim_text',
+            parent,
+            JSON.stringify(node.value)
+          )} : document.createTextNode(${JSON.stringify(node.value)})`
+        );
+        block.create.push(
+          `if (!should_hydrate) ${insert(parent, variableName)}`
+        );
+        block.destroy.push(`${parent}.removeChild(${variableName})`);
+        addMount(parent, {
+          first: variableName,
+          last: variableName,
+          move: insert(parent, variableName),
+        });
+        break;
+      }
+      case 'Attribute': {
+        if (node.name.startsWith('on:')) {
+          const modifiers = eventModifiers(node, elementModifiers);
+          let handler = eventHandler(node, parent);
+          // eg: `$$prevent_default(handler)`
+          ['preventDefault', 'stopPropagation', 'self'].forEach((modifier) => {
+            if (!modifiers.includes(modifier)) return;
+            const wrapper = modifier.replace(
+              /[A-Z]/g,
+              (letter) => `_${letter.toLowerCase()}`
+            );
+            code.imports.add(wrapper);
+            handler = `$$${wrapper}(${handler})`;
+          });
+          const options = ['capture', 'once', 'passive']
+            .filter((modifier) => modifiers.includes(modifier))
+            .map((modifier) => `${modifier}: true`);
+          const disposeName = `dispose_${counter++}`;
+          code.imports.add('listen');
+          block.variables.push(disposeName);
+          block.create.push(
+            `${disposeName} = $$listen(${parent}, ${JSON.stringify(
+              node.name.slice('on:'.length)
+            )}, ${handler}${
+              options.length > 0 ? `, { ${options.join(', ')} }` : ''
+            });`
+          );
+          block.destroy.push(`${disposeName}();`);
+        } else if (isStaticAttribute(node)) {
+          // set when hydrating as well, the element may have been created in place
+          block.create.push(
+            `${parent}.setAttribute('${
+              node.name
+            }', ${JSON.stringify(
+              node.value === true
+                ? ''
+                : node.value.map((part) => part.value).join('')
+            )});`
+          );
+        } else {
+          const valueStr = attributeValue(node.value);
+          code.imports.add('set_attribute');
+          block.create.push(
+            `$$set_attribute(${parent}, '${node.name}', ${valueStr});`
+          );
+          const changes = Array.from(
+            new Set(
+              node.value.flatMap((part) =>
+                part.type === 'Expression'
+                  ? willChangeNames(part.expression)
+                  : []
+              )
+            )
+          );
+          if (changes.length > 0) {
+            block.update.push(`if (${changedCondition(changes)}) {
+              $$set_attribute(${parent}, '${node.name}', ${valueStr});
+            }`);
+          }
+        }
+        break;
+      }
+      case 'Expression': {
+        const variableName = `txt_${counter++}`;
+        const expressionStr = print(node.expression);
+        block.variables.push(variableName);
+        block.create.push(
+          `${variableName} = should_hydrate ? ${claim(
+            'claim_text',
+            parent,
+            expressionStr
+          )} : document.createTextNode(${expressionStr})`
+        );
+        block.create.push(
+          `if (!should_hydrate) ${insert(parent, variableName)}`
+        );
+        block.destroy.push(`${parent}.removeChild(${variableName})`);
+        addMount(parent, {
+          first: variableName,
+          last: variableName,
+          move: insert(parent, variableName),
+        });
+        const changes = willChangeNames(node.expression);
+        if (changes.length > 0) {
+          block.update.push(`if (${changedCondition(changes)}) {
+            ${variableName}.data = ${expressionStr};
+          }`);
+        }
+        break;
+      }
+      // `{@html content}` is inserted as nodes before an anchor,
+      // the nodes are replaced when the content changes
+      case 'RawMustacheTag': {
+        const variableName = `html_${counter++}`;
+        const anchorName = `${variableName}_anchor`;
+        const expressionStr = print(node.expression);
+        code.imports.add('claim_html').add('insert_html').add('detach_all');
+        block.variables.push(variableName, anchorName);
+        block.create.push(
+          `if (should_hydrate) {
+            ${variableName} = $$claim_html(${hydration_nodes});
+            ${anchorName} = ${claim('claim_comment', parent, "'/html'")};
+            if (!${variableName}) ${variableName} = $$insert_html(${expressionStr}, ${anchorName});
+          } else {
+            ${anchorName} = document.createComment('/html');
+            ${insert(parent, anchorName)}
+            ${variableName} = $$insert_html(${expressionStr}, ${anchorName});
+          }`
+        );
+        block.destroy.push(
+          `$$detach_all(${variableName});`,
+          `${parent}.removeChild(${anchorName})`
+        );
+        addMount(parent, {
+          first: `${variableName}[0] ?? ${anchorName}`,
+          last: anchorName,
+          move: `${variableName}.forEach((node) => target.insertBefore(node, anchor));
+            ${insert(parent, anchorName)}`,
+        });
+        const changes = willChangeNames(node.expression);
+        if (changes.length > 0) {
+          block.update.push(`if (${changedCondition(changes)}) {
+            $$detach_all(${variableName});
+            ${variableName} = $$insert_html(${expressionStr}, ${anchorName});
+          }`);
+        }
+        break;
+      }
+      case 'InlineComponent': {
+        if (!analysis.rootScope.declarations.has(node.name)) {
+          error('missing-declaration', `<${node.name}> is not defined`, node);
+        }
+        const variableName = `${node.name}_${counter++}`;
+        const { props, spreadChanges, propChanges } = componentProps(node);
+        const slots = componentSlots(node);
+        // the listeners are added before the component is created, to catch the events of `onMount`
+        const listeners = node.attributes
+          .filter(
+            (attribute) =>
+              attribute.type === 'Attribute' && attribute.name.startsWith('on:')
+          )
+          .map((attribute) => {
+            const modifiers = eventModifiers(attribute, ['once']);
+            let handler = eventHandler(attribute, 'null');
+            if (modifiers.includes('once')) {
+              code.imports.add('once');
+              handler = `$$once(${handler})`;
+            }
+            return `${variableName}.$on(${JSON.stringify(
+              attribute.name.slice('on:'.length)
+            )}, ${handler});`;
+          });
+
+        block.variables.push(variableName);
+        block.create.push(
+          `${variableName} = ${node.name}({ props: ${props}${
+            slots ? `, slots: ${slots}` : ''
+          } });`,
+          ...listeners,
+          `${variableName}.create(${parent}, should_hydrate, ${anchorOf(
+            parent
+          )}, ${hydration_nodes});`
+        );
+        if (spreadChanges) {
+          // with {...spread}, pass all the props again
+          if (spreadChanges.length > 0) {
+            block.update.push(`if (${changedCondition(spreadChanges)}) {
+              ${variableName}.$set(${props});
+            }`);
+          }
+        } else if (propChanges.length > 0) {
+          block.update.push(`{
+            const $$props = {};
+            ${propChanges
+              .map(
+                ({ name, value, changes }) =>
+                  `if (${changedCondition(changes)}) $$props[${JSON.stringify(
+                    name
+                  )}] = ${value};`
+              )
+              .join('\n')}
+            ${variableName}.$set($$props);
+          }`);
+        }
+        if (slots) {
+          // the slot content is updated along with the parent
+          block.update.push(`${variableName}.update_slots(changed);`);
+        }
+        block.destroy.push(`${variableName}.destroy(${parent});`);
+        addMount(parent, {
+          first: `${variableName}.first()`,
+          last: `${variableName}.last()`,
+          move: `${variableName}.move(target, anchor);`,
+        });
+        break;
+      }
+      case 'Slot': {
+        const nameAttribute = node.attributes.find(
+          (attribute) => attribute.name === 'name'
+        );
+        const slotName = nameAttribute?.value[0]?.value ?? 'default';
+        const slotStr = `$$slots[${JSON.stringify(slotName)}]`;
+        const variableName = `slot_${counter++}`;
+        const { props, spreadChanges, propChanges } = componentProps({
+          attributes: node.attributes.filter(
+            (attribute) => attribute !== nameAttribute
+          ),
+        });
+        const changes =
+          spreadChanges ??
+          Array.from(new Set(propChanges.flatMap(({ changes }) => changes)));
+        const fallback =
+          node.children.length > 0 ? createBlock(node.children) : null;
+
+        block.variables.push(variableName);
+        block.create.push(
+          `if (${slotStr}) {
+            ${variableName} = ${slotStr}(${props});
+            $$slot_blocks.add(${variableName});
+          } else {
+            ${variableName} = ${fallback ? `${fallback}()` : 'null'};
+          }`,
+          `if (${variableName}) ${variableName}.create(${parent}, ${anchorOf(
+            parent
+          )}, ${hydration_nodes});`
+        );
+        // the slot content is updated along with the parent through `update_slots`,
+        // except for the changes of the slot props
+        block.update.push(`if (${slotStr}) {
+          ${
+            changes.length > 0
+              ? `if (${changedCondition(changes)}) {
+                  ${variableName}.set(${props});
+                  ${variableName}.update(${JSON.stringify(
+                    toMask(['$$slot_props'])
+                  )});
+                }`
+              : ''
+          }
+        } else if (${variableName}) {
+          ${variableName}.update(changed);
+        }`);
+        block.destroy.push(`if (${variableName}) {
+          $$slot_blocks.delete(${variableName});
+          ${variableName}.destroy(${parent});
+        }`);
+        addMount(parent, {
+          first: `(${variableName} && ${variableName}.first())`,
+          last: `${variableName} && ${variableName}.last()`,
+          move: `if (${variableName}) ${variableName}.move(target, anchor);`,
+        });
+        break;
+      }
+      case 'Head': {
+        // the server-rendered head is replaced rather than hydrated
+        const variableName = `head_${counter++}`;
+        code.imports.add('detach_server_head');
+        block.variables.push(variableName);
+        block.create.push(
+          `${variableName} = ${createBlock(node.children)}();`,
+          `if (should_hydrate) $$detach_server_head();`,
+          `${variableName}.create(document.head, null, null);`
+        );
+        block.update.push(`${variableName}.update(changed);`);
+        block.destroy.push(`${variableName}.destroy(document.head);`);
+        break;
+      }
+      case 'IfBlock': {
+        const variableName = `if_block_${counter++}`;
+        const anchorName = `${variableName}_anchor`;
+        const typeName = `${variableName}_type`;
+        const branches = node.branches.map((branch) => ({
+          condition: print(branch.expression),
+          factory: createBlock(branch.children),
+        }));
+        const alternate = node.alternate ? createBlock(node.alternate) : null;
+        block.blocks.push(`
+          function select_${variableName}() {
+            ${branches
+              .map(
+                ({ condition, factory }) =>
+                  `if (${condition}) return ${factory};`
+              )
+              .join('\n')}
+            return ${alternate};
+          }
+        `);
+
+        block.variables.push(variableName, typeName, anchorName);
+        block.create.push(
+          `${typeName} = select_${variableName}();`,
+          `${variableName} = ${typeName} && ${typeName}();`,
+          `if (${variableName}) ${variableName}.create(${parent}, ${anchorOf(
+            parent
+          )}, ${hydration_nodes});`,
+          `${anchorName} = should_hydrate ? ${claim(
+            'claim_comment',
+            parent,
+            "''"
+          )} : document.createComment('');`,
+          `if (!should_hydrate) ${insert(parent, anchorName)}`
+        );
+
+        const changes = Array.from(
+          new Set(
+            node.branches.flatMap((branch) =>
+              willChangeNames(branch.expression)
+            )
+          )
+        );
+        const updateBranch = `if (${variableName}) ${variableName}.update(changed);`;
+        if (changes.length > 0) {
+          block.update.push(`if (${changedCondition(changes)}) {
+            const type = select_${variableName}();
+            if (type === ${typeName}) {
+              ${updateBranch}
+            } else {
+              if (${variableName}) ${variableName}.destroy(${anchorName}.parentNode);
+              ${typeName} = type;
+              ${variableName} = ${typeName} && ${typeName}();
+              if (${variableName}) ${variableName}.create(${anchorName}.parentNode, ${anchorName}, null);
+            }
+          } else {
+            ${updateBranch}
+          }`);
+        } else {
+          block.update.push(updateBranch);
+        }
+
+        block.destroy.push(
+          `if (${variableName}) ${variableName}.destroy(${parent});`,
+          `${parent}.removeChild(${anchorName})`
+        );
+        addMount(parent, {
+          first: `(${variableName} && ${variableName}.first()) ?? ${anchorName}`,
+          last: anchorName,
+          move: `if (${variableName}) ${variableName}.move(target, anchor);
+            ${insert(parent, anchorName)}`,
+        });
+        break;
+      }
+      case 'EachBlock': {
+        const variableName = `each_block_${counter++}`;
+        const anchorName = `${variableName}_anchor`;
+        const valueName = `${variableName}_value`;
+        const elseName = `${variableName}_else`;
+        const expressionStr = print(node.expression);
+        const changes = willChangeNames(node.expression);
+
+        const params = [print(node.context)];
+        if (node.index) params.push(node.index);
+
+        // the names declared by the each block change along with the list
+        const current_contexts = contexts;
+        contexts = new Map(contexts);
+        periscopic
+          .extract_names(node.context)
+          .concat(node.index ? [node.index] : [])
+          .forEach((name) => contexts.set(name, changes));
+        const current_animatable = animatable;
+        const children = node.children.filter((child) => !isWhitespace(child));
+        animatable =
+          node.key && children.length === 1 && children[0].type === 'Element'
+            ? children[0]
+            : null;
+        const animated =
+          animatable?.attributes.some((attribute) =>
+            attribute.name.startsWith('animate:')
+          ) ?? false;
+        const factory = createBlock(node.children, params);
+        animatable = current_animatable;
+        // unkeyed each blocks are keyed by index
+        block.blocks.push(
+          node.key
+            ? `function get_${variableName}_key(${params.join(', ')}) {
+                return ${print(node.key)};
+              }`
+            : `function get_${variableName}_key(value, index) {
+                return index;
+              }`
+        );
+        contexts = current_contexts;
+        const alternate = node.alternate ? createBlock(node.alternate) : null;
+
+        code.imports.add('update_keyed_each');
+        if (animated) code.imports.add('measure_rows').add('animate_rows');
+        block.variables.push(variableName, valueName, anchorName);
+        block.create.push(
+          `${valueName} = Array.from(${expressionStr});`,
+          `${variableName} = ${valueName}.map((value, index) => {
+            const block = ${factory}(value, index);
+            block.create(${parent}, ${anchorOf(parent)}, ${hydration_nodes});
+            return { key: get_${variableName}_key(value, index), block };
+          });`
+        );
+        if (alternate) {
+          block.variables.push(elseName);
+          block.create.push(`if (${valueName}.length === 0) {
+            ${elseName} = ${alternate}();
+            ${elseName}.create(${parent}, ${anchorOf(
+            parent
+          )}, ${hydration_nodes});
+          }`);
+        }
+        block.create.push(
+          `${anchorName} = should_hydrate ? ${claim(
+            'claim_comment',
+            parent,
+            "''"
+          )} : document.createComment('');`,
+          `if (!should_hydrate) ${insert(parent, anchorName)}`
+        );
+
+        const updateRows = `${variableName}.forEach(({ block }) => block.update(changed));`;
+        if (changes.length > 0) {
+          block.update.push(`if (${changedCondition(changes)}) {
+            ${valueName} = Array.from(${expressionStr});
+            ${
+              animated
+                ? `const ${variableName}_rects = $$measure_rows(${variableName});`
+                : ''
+            }
+            ${variableName} = $$update_keyed_each(${variableName}, ${valueName}, get_${variableName}_key, ${factory}, changed, ${anchorName});
+            ${
+              animated
+                ? `$$animate_rows(${variableName}, ${variableName}_rects);`
+                : ''
+            }
+            ${
+              alternate
+                ? `if (${valueName}.length === 0 && !${elseName}) {
+                    ${elseName} = ${alternate}();
+                    ${elseName}.create(${anchorName}.parentNode, ${anchorName}, null);
+                  } else if (${valueName}.length > 0 && ${elseName}) {
+                    ${elseName}.destroy(${anchorName}.parentNode);
+                    ${elseName} = null;
+                  }`
+                : ''
+            }
+          } else {
+            ${updateRows}
+          }`);
+        } else {
+          block.update.push(updateRows);
+        }
+        if (alternate) {
+          block.update.push(`if (${elseName}) ${elseName}.update(changed);`);
+        }
+
+        block.destroy.push(
+          `${variableName}.forEach(({ block }) => block.destroy(${parent}));`
+        );
+        if (alternate) {
+          block.destroy.push(`if (${elseName}) ${elseName}.destroy(${parent});`);
+        }
+        block.destroy.push(`${parent}.removeChild(${anchorName})`);
+        addMount(parent, {
+          first: `(${variableName}.length > 0 ? ${variableName}[0].block.first() : ${
+            alternate ? `${elseName} && ${elseName}.first()` : 'null'
+          }) ?? ${anchorName}`,
+          last: anchorName,
+          move: `${variableName}.forEach(({ block }) => block.move(target, anchor));
+            ${alternate ? `if (${elseName}) ${elseName}.move(target, anchor);` : ''}
+            ${insert(parent, anchorName)}`,
+        });
+        break;
+      }
+      case 'AwaitBlock': {
+        const variableName = `await_block_${counter++}`;
+        const anchorName = `${variableName}_anchor`;
+        const tokenName = `${variableName}_token`;
+        const promiseName = `${variableName}_promise`;
+        const expressionStr = print(node.expression);
+        const changes = willChangeNames(node.expression);
+
+        // the value and error change along with the promise
+        const createBranch = (branch, pattern) => {
+          if (!node[branch]) return null;
+          const current_contexts = contexts;
+          contexts = new Map(contexts);
+          if (pattern) {
+            periscopic
+              .extract_names(pattern)
+              .forEach((name) => contexts.set(name, changes));
+          }
+          const factory = createBlock(
+            node[branch],
+            pattern ? [print(pattern)] : []
+          );
+          contexts = current_contexts;
+          return factory;
+        };
+        const pending = createBranch('pending', null);
+        const then = createBranch('then', node.value);
+        const catchBranch = createBranch('catch', node.error);
+
+        code.imports.add('claim_await_placeholder');
+        block.variables.push(variableName, tokenName, promiseName, anchorName);
+        // swap the branch when the promise settles,
+        // unless the promise has been replaced in the meantime
+        block.blocks.push(`
+          function handle_${variableName}(promise, target, anchor, nodes) {
+            const token = (${tokenName} = {});
+            function swap(factory, value) {
+              if (token !== ${tokenName}) return;
+              if (${variableName}) ${variableName}.destroy(${anchorName}.parentNode);
+              ${variableName} = factory && factory(value);
+              if (${variableName}) ${variableName}.create(${anchorName}.parentNode, ${anchorName}, null);
+            }
+            const is_promise = !!promise && typeof promise.then === 'function';
+            // the server may have rendered a settled branch, keep it until the promise settles
+            ${variableName} = nodes && $$claim_await_placeholder(nodes, is_promise ? 'pending' : 'then');
+            if (!${variableName}) {
+              const factory = is_promise ? ${pending} : ${then};
+              ${variableName} = factory && factory(promise);
+              if (${variableName}) ${variableName}.create(target, anchor, nodes);
+            }
+            if (is_promise) {
+              promise.then(
+                (value) => swap(${then}, value),
+                (error) => {
+                  swap(${catchBranch}, error);
+                  ${catchBranch ? '' : 'throw error;'}
+                }
+              );
+            }
+          }
+        `);
+        block.create.push(
+          `${promiseName} = ${expressionStr};`,
+          `handle_${variableName}(${promiseName}, ${parent}, ${anchorOf(
+            parent
+          )}, ${hydration_nodes});`,
+          `${anchorName} = should_hydrate ? ${claim(
+            'claim_comment',
+            parent,
+            "'/await'"
+          )} : document.createComment('/await');`,
+          `if (!should_hydrate) ${insert(parent, anchorName)}`
+        );
+
+        const updateBranch = `if (${variableName}) ${variableName}.update(changed);`;
+        if (changes.length > 0) {
+          block.update.push(`if (${changedCondition(
+            changes
+          )} && ${promiseName} !== (${promiseName} = ${expressionStr})) {
+            if (${variableName}) ${variableName}.destroy(${anchorName}.parentNode);
+            ${variableName} = null;
+            handle_${variableName}(${promiseName}, ${anchorName}.parentNode, ${anchorName}, null);
+          } else {
+            ${updateBranch}
+          }`);
+        } else {
+          block.update.push(updateBranch);
+        }
+
+        block.destroy.push(
+          `${tokenName} = null;`,
+          `if (${variableName}) ${variableName}.destroy(${parent});`,
+          `${parent}.removeChild(${anchorName})`
+        );
+        addMount(parent, {
+          first: `(${variableName} && ${variableName}.first()) ?? ${anchorName}`,
+          last: anchorName,
+          move: `if (${variableName}) ${variableName}.move(target, anchor);
+            ${insert(parent, anchorName)}`,
+        });
+        break;
+      }
+    }
+  }
+
+  ast.html.forEach((fragment) => traverse(fragment, 'target'));
+
+  const { rootScope, map } = analysis;
+  instrumentStoreAssignments(ast.script, analysis.stores);
+  let currentScope = rootScope;
+  estreewalker.walk(ast.script, {
+    enter(node, parent) {
+      if (map.has(node)) currentScope = map.get(node);
+      if (
+        node.type === 'UpdateExpression' ||
+        node.type === 'AssignmentExpression'
+      ) {
+        const names = periscopic
+          .extract_names(
+            node.type === 'UpdateExpression' ? node.argument : node.left
+          )
+          .filter(
+            (name) =>
+              currentScope.find_owner(name) === rootScope &&
+              (analysis.willUseInTemplate.has(name) ||
+                analysis.reactiveDependencies.has(name))
+          );
+        if (names.length > 0) {
           this.replace({
-            type: 'VariableDeclarator',
-            id: node.id,
-            init: {
-              type: 'LogicalExpression',
-              operator: '??',
-              left: acorn.parseExpressionAt(
-                `restored_state?.${node.id.name}`,
+            type: 'SequenceExpression',
+            expressions: [
+              node,
+              acorn.parseExpressionAt(
+                `$$update(${JSON.stringify(toIndices(names))})`,
                 0,
                 { ecmaVersion: 2022 }
               ),
-              right: node.init,
-            },
+            ],
           });
           this.skip();
         }
       }
+      if (node.type === 'VariableDeclarator' && parent.kind !== 'const') {
+        const name = node.id.name;
+        if (currentScope.find_owner(name) === rootScope) {
+          // spelled as a conditional, escodegen does not parenthesize `??` operands
+          const init = acorn.parseExpressionAt(
+            `$$restored_state?.${name} !== undefined ? $$restored_state.${name} : 0`,
+            0,
+            { ecmaVersion: 2022 }
+          );
+          init.alternate = node.init ?? { type: 'Identifier', name: 'undefined' };
+          // the value passed by the parent takes precedence over the default value
+          if (analysis.props.has(name)) {
+            init.alternate = {
+              type: 'ConditionalExpression',
+              test: acorn.parseExpressionAt(`'${name}' in $$props`, 0, {
+                ecmaVersion: 2022,
+              }),
+              consequent: acorn.parseExpressionAt(`$$props.${name}`, 0, {
+                ecmaVersion: 2022,
+              }),
+              alternate: init.alternate,
+            };
+          }
+          this.replace({ type: 'VariableDeclarator', id: node.id, init });
+          this.skip();
+        }
+      }
     },
     leave(node) {
       if (map.has(node)) currentScope = currentScope.parent;
     },
   });
 
-  // [1,2,3].sort((a, b) => a - b)
-  // if (a > b) a-b > 1
-  // if (b > a) a-b > -1
-  analysis.reactiveDeclarations.sort((rd1, rd2) => {
-    // rd2 depends on what rd1 changes
-    if (rd1.assignees.some((assignee) => rd2.dependencies.includes(assignee))) {
-      // rd2 should come after rd1
-      return -1;
-    }
-
-    // rd1 depends on what rd2 changes
-    if (rd2.assignees.some((assignee) => rd1.dependencies.includes(assignee))) {
-      // rd1 should come after rd2
-      return 1;
-    }
-
-    // based on original order
-    return rd1.index - rd2.index;
-  });
+  if (analysis.stores.size > 0) {
+    code.imports.add('subscribe').add('set_store_value');
+    subscribeStores(
+      ast.script,
+      analysis,
+      (name) => `const $$unsubscribe_${name} = $$subscribe(${name}, (value) => {
+        $${name} = value;
+        $$update(${JSON.stringify(toIndices([`$${name}`]))});
+      });`
+    );
+    analysis.stores.forEach((name) => code.variables.push(`$${name}`));
+  }
 
   analysis.reactiveDeclarations.forEach(
-    ({ node, index, assignees, dependencies }) => {
+    ({ node, assignees, dependencies, declarations }) => {
+      instrumentStoreAssignments(node, analysis.stores);
+      // the declarations run in order, so the changes made by one of them
+      // are seen by the following ones within the same flush
       code.reactiveDeclarations.push(`
-      if (${JSON.stringify(
-        Array.from(dependencies)
-      )}.some(name => collectChanges.includes(name))) {
-        ${escodegen.generate(node)}
-        update(${JSON.stringify(assignees)});
+      if (initial || ${changedCondition(dependencies, '$$dirty')}) {
+        ${print(node)}
+        ${
+          assignees.length > 0
+            ? `$$update(${JSON.stringify(toIndices(assignees))});`
+            : ''
+        }
       }
     `);
-      assignees.forEach((assignee) => code.variables.push(assignee));
+      declarations.forEach((name) => code.variables.push(name));
     }
   );
 
+  if (analysis.css && css === 'injected') {
+    code.imports.add('append_styles');
+  }
+
   return `
-    export default function({ restored_state } = {}) {
+    ${
+      code.imports.size > 0
+        ? `import { ${Array.from(code.imports)
+            .map((name) => `${name} as $$${name}`)
+            .join(', ')} } from '${runtime}/internal.js';`
+        : ''
+    }
+    ${
+      hmr
+        ? `import { create_hot_component as $$create_hot_component } from '${runtime}/hmr.js';`
+        : ''
+    }
+    ${generateImports(analysis.imports, 'dom', runtime)}
+    ${
+      hmr ? 'function $$component' : 'export default function'
+    }({
+      restored_state: $$restored_state,
+      props: $$props = {},
+      slots: $$slots = {},
+    } = {}) {
+      ${
+        dev
+          ? `Object.keys($$props).forEach((key) => {
+              if (!${JSON.stringify(Array.from(analysis.props))}.includes(key)) {
+                console.warn(\`<${name}> was created with unknown prop '\${key}'\`);
+              }
+            });`
+          : ''
+      }
       ${code.variables.map((v) => `let ${v};`).join('\n')}
+      // the rendered content of the slots passed by the parent
+      const $$slot_blocks = new Set();
 
-      let collectChanges = [];
-      let updateCalled = false;
-      function update(changed) {
-        changed.forEach(c => collectChanges.push(c));
-    
-        if (updateCalled) return;
-        updateCalled = true;
-    
-        // first call
-        update_reactive_declarations();
-        if (typeof lifecycle !== 'undefined') lifecycle.update(collectChanges);
-        collectChanges = [];
-        updateCalled = false;
+      // the bits of the variables changed since the last flush
+      let $$dirty = ${JSON.stringify(Array(words).fill(0))};
+      let $$scheduled = false;
+      let $$flushing = false;
+      let $$mounted = false;
+      // the intros play for the blocks created after the component
+      let $$intros_enabled = false;
+      function $$update(indices) {
+        indices.forEach((index) => {
+          $$dirty[(index / 31) | 0] |= 1 << index % 31;
+        });
+        // the changes made while the component is flushed are picked up by the current flush
+        if (!$$mounted || $$scheduled || $$flushing) return;
+        $$scheduled = true;
+        $$schedule_update($$flush);
+      }
+      function $$flush() {
+        $$scheduled = false;
+        // the component may have been destroyed since the flush was scheduled
+        if (!$$mounted) return;
+        $$flushing = true;
+        // the changes are kept for the next flush when a declaration throws
+        try {
+          $$update_reactive_declarations(false);
+        } finally {
+          $$flushing = false;
+        }
+        const changed = $$dirty;
+        $$dirty = ${JSON.stringify(Array(words).fill(0))};
+        $$run_all($$lifecycle_callbacks.before_update);
+        $$lifecycle.update(changed);
+        $$run_all($$lifecycle_callbacks.after_update);
       }
 
-      ${escodegen.generate(ast.script)}
+      // registered by \`onMount\`, \`onDestroy\`, \`beforeUpdate\` and \`afterUpdate\`,
+      // and used by \`createEventDispatcher\`
+      const $$lifecycle_callbacks = {
+        on_mount: [],
+        on_destroy: [],
+        before_update: [],
+        after_update: [],
+        // the listeners of the events dispatched by the component
+        listeners: {},
+      };
+      const $$parent_component = $$set_current_component($$lifecycle_callbacks);
+      ${print(ast.script)}
+      $$set_current_component($$parent_component);
+
+      $$update_reactive_declarations(true);
+      $$dirty = ${JSON.stringify(Array(words).fill(0))};
 
-      update(${JSON.stringify(Array.from(analysis.willChange))});
+      ${code.blocks.join('\n')}
 
-      function update_reactive_declarations() {
+      function $$update_reactive_declarations(initial) {
         ${code.reactiveDeclarations.join('\n')}
       }
 
-      var lifecycle = {
-        create(target, should_hydrate = target.childNodes.length > 0) {
+      var $$lifecycle = {
+        // a child component hydrates the server-rendered nodes of its parent
+        create(target, should_hydrate = ${
+          hydratable ? 'target.childNodes.length > 0' : 'false'
+        }, anchor = null, nodes) {
+          // the root component claims the children of the target, and removes the ones left unclaimed
+          const $$root = nodes === undefined;
+          if ($$root) nodes = should_hydrate ? Array.from(target.childNodes) : null;
+          ${
+            analysis.css && css === 'injected'
+              ? `$$append_styles('${analysis.css.hash}', ${JSON.stringify(
+                  analysis.css.code
+                )});`
+              : ''
+          }
+          // the changes made while the component is created, eg: by \`bind:this\`, are flushed afterwards
+          $$mounted = true;
+          $$run_all($$lifecycle_callbacks.before_update);
           ${code.create.join('\n')}
+          if ($$root && should_hydrate) $$detach_unclaimed(nodes${claimComponent});
+          $$run_on_mount($$lifecycle_callbacks);
+          $$run_all($$lifecycle_callbacks.after_update);
+          $$intros_enabled = true;
         },
         update(changed) {
           ${code.update.join('\n')}
         },
         destroy(target) {
+          $$mounted = false;
+          $$run_all($$lifecycle_callbacks.on_destroy);
+          ${Array.from(analysis.stores)
+            .map((name) => `$$unsubscribe_${name}();`)
+            .join('\n')}
           ${code.destroy.join('\n')}
         },
+        // update the props passed by the parent
+        $set($$props) {
+          const changed = [];
+          ${Array.from(analysis.props)
+            .map(
+              (name) => `if ('${name}' in $$props) {
+                ${name} = $$props.${name};
+                changed.push(${bits.get(name)});
+              }`
+            )
+            .join('\n')}
+          if (changed.length > 0) $$update(changed);
+        },
+        // listen to the events dispatched by the component
+        $on(type, handler) {
+          return $$add_listener($$lifecycle_callbacks, type, handler);
+        },
+        update_slots(changed) {
+          $$slot_blocks.forEach((slot_block) => slot_block.update(changed));
+        },
+        move(target, anchor) {
+          ${code.mount.map(({ move }) => move).join('\n')}
+        },
+        first() {
+          return ${
+            code.mount.length > 0 ? `${code.mount[0].first} ?? null` : 'null'
+          };
+        },
+        last() {
+          return ${
+            code.mount.length > 0
+              ? code.mount[code.mount.length - 1].last
+              : 'null'
+          };
+        },
         capture_state() {
           return { ${Array.from(analysis.variables).join(',')} };
         }
       };
-      return lifecycle;
+      return $$lifecycle;
+    }
+    ${
+      hmr
+        ? 'export default $$create_hot_component(import.meta.url, $$component);'
+        : ''
     }
   `;
 }
 
-function generateSSR(ast, analysis) {
+function generateSSR(
+  ast,
+  analysis,
+  { async = false, hmr = false, runtime = './runtime' } = {}
+) {
   const code = {
+    imports: new Set([
+      'set_current_component',
+      'run_all',
+      'create_render_context',
+      'serializable_state',
+    ]),
     variables: [],
     reactiveDeclarations: [],
-    template: {
-      expressions: [],
-      quasis: [],
-    },
   };
 
+  let template = {
+    expressions: [],
+    quasis: [],
+  };
   let templateString = '';
+  // whether the texts are rendered without the `<!---->` markers, within
+  // <svelte:head> which is not hydrated, and within <textarea> and <title>
+  // whose content is shown as it is
+  let withoutMarkers = false;
   function addString(str) {
     templateString += str;
   }
   function addExpressions(expression) {
-    code.template.quasis.push(templateString);
+    template.quasis.push(templateString);
+    templateString = '';
+    template.expressions.push(expression);
+  }
+  // render the fragments into a template literal of their own,
+  // so that it can be nested within an expression of the outer template
+  function renderFragments(fragments) {
+    const current_template = template;
+    const current_templateString = templateString;
+    template = {
+      expressions: [],
+      quasis: [],
+    };
     templateString = '';
-    code.template.expressions.push(expression);
+    fragments.forEach((fragment) => traverse(fragment));
+    template.quasis.push(templateString);
+
+    const templateLiteral = {
+      type: 'TemplateLiteral',
+      expressions: template.expressions,
+      quasis: template.quasis.map((str) => ({
+        type: 'TemplateElement',
+        value: {
+          raw: str.replace(/\\|`|\$\{/g, (match) => `\\${match}`),
+          cooked: str,
+        },
+      })),
+    };
+    template = current_template;
+    templateString = current_templateString;
+    return templateLiteral;
+  }
+
+  function addAttribute(name, valueStr) {
+    code.imports.add('attribute');
+    addExpressions(parseGenerated(`$$attribute('${name}', ${valueStr})`));
+  }
+  // the value of the `value` attribute
+  function elementValue(node) {
+    const attribute = node.attributes.find(
+      (attribute) => attribute.name === 'value'
+    );
+    if (!attribute || attribute.value === true) return 'undefined';
+    return isStaticAttribute(attribute)
+      ? JSON.stringify(attribute.value[0]?.value ?? '')
+      : attributeValue(attribute.value);
+  }
+  // { default: ({ item }) => `...`, header: () => `...` }
+  function renderSlots(node) {
+    const slots = groupSlots(node);
+    const entries = Array.from(slots).map(([name, { lets, fragments }]) => {
+      const properties = lets.map((attribute) => {
+        const prop = attribute.name.slice('let:'.length);
+        const local = directiveExpression(attribute).name;
+        return prop === local ? prop : `${prop}: ${local}`;
+      });
+      return `${JSON.stringify(name)}: ${
+        async ? 'async ' : ''
+      }({ ${properties.join(', ')} }) => ${print(
+        renderFragments(fragments)
+      )}`;
+    });
+    return `{ ${entries.join(', ')} }`;
   }
+  // the bound value of the <select> that the <option>s are in
+  let selectValue = null;
 
   function traverse(node) {
     switch (node.type) {
       case 'Element': {
         addString(`<${node.name}`);
-        node.attributes.forEach((attribute) => {
-          traverse(attribute);
+        if (node.attributes.some((attribute) => attribute.type === 'Spread')) {
+          code.imports.add('spread_attributes');
+          addExpressions(
+            parseGenerated(
+              `$$spread_attributes({ ${node.attributes
+                .filter((attribute) => !isDirective(attribute))
+                .map((attribute) =>
+                  attribute.type === 'Spread'
+                    ? `...(${print(attribute.expression)})`
+                    : `${JSON.stringify(attribute.name)}: ${
+                        attribute.value === true
+                          ? 'true'
+                          : attributeValue(attribute.value)
+                      }`
+                )
+                .join(', ')} })`
+            )
+          );
+        } else {
+          node.attributes.forEach((attribute) => {
+            traverse(attribute);
+          });
+        }
+
+        // render the bound values as the initial state
+        const current_selectValue = selectValue;
+        let textareaValue = null;
+        node.attributes.filter(isBinding).forEach((binding) => {
+          const property = binding.name.slice('bind:'.length);
+          const expressionStr = print(
+            directiveExpression(binding)
+          );
+          if (property === 'value' && node.name === 'select') {
+            selectValue = expressionStr;
+          } else if (property === 'value' && node.name === 'textarea') {
+            textareaValue = expressionStr;
+          } else if (property === 'value' || property === 'checked') {
+            addAttribute(property, expressionStr);
+          } else if (property === 'group') {
+            const type = node.attributes.find(
+              (attribute) => attribute.name === 'type'
+            )?.value[0]?.value;
+            addAttribute(
+              'checked',
+              type === 'checkbox'
+                ? `${expressionStr}.includes(${elementValue(node)})`
+                : `${elementValue(node)} === ${expressionStr}`
+            );
+          }
         });
+        if (node.name === 'option' && selectValue) {
+          addAttribute('selected', `${elementValue(node)} === ${selectValue}`);
+        }
         addString('>');
-        node.children.forEach((child) => {
-          traverse(child);
-        });
+        if (voidElements.has(node.name)) break;
+        // browsers drop the first newline of <pre>, render it twice to keep it
+        if (
+          isPreformatted(node.name) &&
+          node.children[0]?.type === 'Text' &&
+          node.children[0].value.startsWith('\n')
+        ) {
+          addString('\n');
+        }
+
+        const current_withoutMarkers = withoutMarkers;
+        if (node.name === 'textarea' || node.name === 'title') {
+          withoutMarkers = true;
+        }
+        if (textareaValue) {
+          code.imports.add('escape');
+          addExpressions(parseGenerated(`$$escape(${textareaValue})`));
+        } else {
+          node.children.forEach((child) => {
+            traverse(child);
+          });
+        }
+        selectValue = current_selectValue;
+        withoutMarkers = current_withoutMarkers;
         addString(`</${node.name}>`);
         break;
       }
+      case 'InlineComponent': {
+        // the server-rendered child component is inlined into the parent
+        const props = node.attributes
+          .filter((attribute) => !isDirective(attribute))
+          .map((attribute) =>
+            attribute.type === 'Spread'
+              ? `...(${print(attribute.expression)})`
+              : `${JSON.stringify(attribute.name)}: ${
+                  attribute.value === true
+                    ? 'true'
+                    : attributeValue(attribute.value)
+                }`
+          );
+        addExpressions(
+          parseGenerated(
+            `${async ? 'await ' : ''}${node.name}({ ${props.join(
+              ', '
+            )} }, ${renderSlots(node)}, $$render_context)`
+          )
+        );
+        break;
+      }
+      case 'Slot': {
+        // slots.default ? slots.default({ item }) : `fallback`
+        const nameAttribute = node.attributes.find(
+          (attribute) => attribute.name === 'name'
+        );
+        const slotStr = `$$slots[${JSON.stringify(
+          nameAttribute?.value[0]?.value ?? 'default'
+        )}]`;
+        const props = node.attributes
+          .filter((attribute) => attribute !== nameAttribute)
+          .map((attribute) =>
+            attribute.type === 'Spread'
+              ? `...(${print(attribute.expression)})`
+              : `${JSON.stringify(attribute.name)}: ${
+                  attribute.value === true
+                    ? 'true'
+                    : attributeValue(attribute.value)
+                }`
+          );
+        addExpressions(
+          parseGenerated(
+            `${slotStr} ? ${async ? 'await ' : ''}${slotStr}({ ${props.join(
+              ', '
+            )} }) : ${print(renderFragments(node.children))}`
+          )
+        );
+        break;
+      }
+      case 'Head': {
+        code.imports.add('add_head');
+        withoutMarkers = true;
+        const head = renderFragments(node.children);
+        withoutMarkers = false;
+        addExpressions(
+          parseGenerated(`$$add_head($$render_context, ${print(head)})`)
+        );
+        break;
+      }
       case 'Text': {
-        addString(node.value);
-        addString('<!---->');
+        addString(escapeText(node.value));
+        if (!withoutMarkers) addString('<!---->');
+        break;
+      }
+      case 'Doctype': {
+        addString(`<!DOCTYPE ${node.value}>`);
         break;
       }
       case 'Attribute': {
+        if (isDirective(node)) break;
+        if (node.value === true) {
+          addString(` ${node.name}`);
+        } else if (isStaticAttribute(node)) {
+          addString(
+            ` ${node.name}="${escapeAttribute(
+              node.value.map((part) => part.value).join('')
+            )}"`
+          );
+        } else {
+          addAttribute(node.name, attributeValue(node.value));
+        }
         break;
       }
       case 'Expression': {
-        addExpressions(node.expression);
+        code.imports.add('escape');
+        addExpressions(parseGenerated(`$$escape(${print(node.expression)})`));
+        if (!withoutMarkers) addString('<!---->');
+        break;
+      }
+      // the raw html is trusted, the anchor marks its end for the hydration
+      case 'RawMustacheTag': {
+        code.imports.add('render_html');
+        addExpressions(
+          parseGenerated(`$$render_html(${print(node.expression)})`)
+        );
+        addString('<!--/html-->');
+        break;
+      }
+      case 'IfBlock': {
+        // cond1 ? `...` : cond2 ? `...` : `...`
+        const alternate = node.alternate
+          ? renderFragments(node.alternate)
+          : { type: 'Literal', value: '' };
+        addExpressions(
+          node.branches.reduceRight(
+            (alternate, branch) => ({
+              type: 'ConditionalExpression',
+              test: branch.expression,
+              consequent: renderFragments(branch.children),
+              alternate,
+            }),
+            alternate
+          )
+        );
+        // the anchor of the if block
+        addString('<!---->');
+        break;
+      }
+      case 'EachBlock': {
+        // ((each_value) => each_value.length > 0 ? each_value.map((item, i) => `...`).join('') : `...`)(Array.from(items))
+        const params = [print(node.context)];
+        if (node.index) params.push(node.index);
+        const row = print(renderFragments(node.children));
+        const alternate = node.alternate
+          ? print(renderFragments(node.alternate))
+          : "''";
+        // the rows may await child components when rendering asynchronously
+        const rows = async
+          ? `(await Promise.all(each_value.map(async (${params.join(
+              ', '
+            )}) => ${row}))).join('')`
+          : `each_value.map((${params.join(', ')}) => ${row}).join('')`;
+        addExpressions(
+          parseGenerated(
+            `${async ? 'await (async (' : '(('}each_value) => each_value.length > 0 ? ${rows} : ${alternate})(Array.from(${print(
+              node.expression
+            )}))`
+          )
+        );
+        // the anchor of the each block
         addString('<!---->');
         break;
       }
+      case 'AwaitBlock': {
+        // `<!--pending-->`, `<!--then-->` or `<!--catch-->` tells the hydration
+        // which branch is rendered
+        const renderBranch = (branch, pattern, value) => {
+          const content = node[branch]
+            ? print(renderFragments(node[branch]))
+            : "''";
+          return `\`<!--${branch}-->\${${async ? 'await (async (' : '(('}${
+            pattern ? print(pattern) : ''
+          }) => ${content})(${value})}\``;
+        };
+        const then = renderBranch('then', node.value, 'promise');
+        const expressionStr = print(node.expression);
+        // only the pending branch is rendered, unless rendering asynchronously.
+        // the promise is left to the browser, its rejection must not crash the server
+        const render = async
+          ? `await (async (promise) => {
+              if (!promise || typeof promise.then !== 'function') return ${then};
+              try {
+                const value = await promise;
+                return ${renderBranch('then', node.value, 'value')};
+              } catch (error) {
+                ${
+                  node.catch
+                    ? `return ${renderBranch('catch', node.error, 'error')};`
+                    : 'throw error;'
+                }
+              }
+            })(${expressionStr})`
+          : `((promise) => !!promise && typeof promise.then === 'function' ? (promise.then(null, () => {}), ${renderBranch(
+              'pending',
+              null,
+              ''
+            )}) : ${then})(${expressionStr})`;
+        addExpressions(parseGenerated(render));
+        // the anchor of the await block
+        addString('<!--/await-->');
+        break;
+      }
     }
   }
 
-  ast.html.forEach((fragment) => traverse(fragment));
+  // the stores are read once, as the component is rendered once
+  if (analysis.stores.size > 0) {
+    code.imports.add('get_store_value').add('set_store_value');
+    instrumentStoreAssignments(ast.script, analysis.stores);
+    subscribeStores(
+      ast.script,
+      analysis,
+      (name) => `$${name} = $$get_store_value(${name});`
+    );
+    analysis.stores.forEach((name) => code.variables.push(`$${name}`));
+  }
+
+  analysis.reactiveDeclarations.forEach(({ node, declarations }) => {
+    instrumentStoreAssignments(node, analysis.stores);
+    code.reactiveDeclarations.push(print(node));
+    declarations.forEach((name) => code.variables.push(name));
+  });
+
+  const templateLiteral = renderFragments(ast.html);
 
-  code.template.quasis.push(templateString);
+  // the variables restored by the browser, the functions and constants are left out
+  const state = Array.from(analysis.variables).filter((name) => {
+    const declaration = analysis.rootScope.declarations.get(name);
+    return (
+      declaration.type === 'VariableDeclaration' && declaration.kind !== 'const'
+    );
+  });
+
+  // the value passed by the parent takes precedence over the default value
+  estreewalker.walk(ast.script, {
+    enter(node, parent) {
+      if (
+        node.type === 'VariableDeclarator' &&
+        parent.kind !== 'const' &&
+        analysis.props.has(node.id.name) &&
+        ast.script.body.includes(parent)
+      ) {
+        node.init = {
+          type: 'ConditionalExpression',
+          test: acorn.parseExpressionAt(`'${node.id.name}' in $$props`, 0, {
+            ecmaVersion: 2022,
+          }),
+          consequent: acorn.parseExpressionAt(`$$props.${node.id.name}`, 0, {
+            ecmaVersion: 2022,
+          }),
+          alternate: node.init ?? { type: 'Identifier', name: 'undefined' },
+        };
+        this.skip();
+      }
+    },
+  });
 
-  // [1,2,3].sort((a, b) => a - b)
-  // if (a > b) a-b > 1
-  // if (b > a) a-b > -1
-  analysis.reactiveDeclarations.sort((rd1, rd2) => {
-    // rd2 depends on what rd1 changes
-    if (rd1.assignees.some((assignee) => rd2.dependencies.includes(assignee))) {
-      // rd2 should come after rd1
-      return -1;
+  return `
+    ${
+      code.imports.size > 0
+        ? `import { ${Array.from(code.imports)
+            .map((name) => `${name} as $$${name}`)
+            .join(', ')} } from '${runtime}/internal.js';`
+        : ''
     }
+    ${generateImports(
+      analysis.imports,
+      'ssr',
+      runtime,
+      // node caches the modules by url, load the child components built along with this one
+      hmr ? `?t=${Date.now()}` : ''
+    )}
+    // the child components share the \`$$render_context\` of the page
+    export default ${
+      async ? 'async ' : ''
+    }function($$props = {}, $$slots = {}, $$render_context = $$create_render_context()) {
+      ${code.variables.map((v) => `let ${v};`).join('\n')}
+      ${
+        analysis.css
+          ? `$$render_context.css.set('${
+              analysis.css.hash
+            }', ${JSON.stringify(analysis.css.code)});`
+          : ''
+      }
+      // only the \`onDestroy\` callbacks are run on the server, once the component is rendered
+      const $$lifecycle_callbacks = {
+        on_mount: [],
+        on_destroy: [],
+        before_update: [],
+        after_update: [],
+        // the listeners of the events dispatched by the component
+        listeners: {},
+      };
+      const $$parent_component = $$set_current_component($$lifecycle_callbacks);
+      ${print(ast.script)}
+      $$set_current_component($$parent_component);
+      ${code.reactiveDeclarations.join('\n')}
+      // the state of the page component is picked up by the browser as \`restored_state\`
+      if (!$$render_context.state) {
+        $$render_context.state = $$serializable_state({ ${state.join(', ')} });
+      }
 
-    // rd1 depends on what rd2 changes
-    if (rd2.assignees.some((assignee) => rd1.dependencies.includes(assignee))) {
-      // rd1 should come after rd2
-      return 1;
+      const $$rendered = ${print(templateLiteral)};
+      $$run_all($$lifecycle_callbacks.on_destroy);
+      return $$rendered;
     }
+  `;
+}
+
+// print the javascript, along with the source position markers
+function print(node) {
+  return escodegen.generate(node, { comment: true });
+}
+
+// parse the generated javascript, keeping the source position markers
+function parseGenerated(code) {
+  const comments = [];
+  const node = acorn.parseExpressionAt(code, 0, {
+    ecmaVersion: 2022,
+    allowAwaitOutsideFunction: true,
+    onComment: comments,
+  });
+  // the marker belongs to the outermost node following it
+  const markers = new Map(
+    comments.map((comment) => [
+      comment.end + code.slice(comment.end).search(/\S/),
+      comment,
+    ])
+  );
+  estreewalker.walk(node, {
+    enter(node) {
+      const marker = markers.get(node.start);
+      if (!marker) return;
+      node.leadingComments = [{ type: 'Block', value: marker.value }];
+      markers.delete(node.start);
+    },
+  });
+  return node;
+}
 
-    // based on original order
-    return rd1.index - rd2.index;
+// offset the positions of the javascript parsed out of the component
+function shiftPositions(node, offset) {
+  estreewalker.walk(node, {
+    enter(node) {
+      node.start += offset;
+      node.end += offset;
+    },
   });
+  return node;
+}
 
-  analysis.reactiveDeclarations.forEach(
-    ({ node, index, assignees, dependencies }) => {
-      code.reactiveDeclarations.push(escodegen.generate(node));
-      assignees.forEach((assignee) => code.variables.push(assignee));
+// the names the expression depends on, eg: `format` and `user` for `format(user.birthday)`,
+// but not the names declared within, eg: the parameters of an arrow function
+function extract_names(jsNode) {
+  const { globals } = periscopic.analyze(jsNode);
+  return Array.from(globals.values())
+    .sort((a, b) => a.start - b.start)
+    .map((node) => node.name);
+}
+
+const voidElements = new Set([
+  'area',
+  'base',
+  'br',
+  'col',
+  'embed',
+  'hr',
+  'img',
+  'input',
+  'link',
+  'meta',
+  'param',
+  'source',
+  'track',
+  'wbr',
+]);
+
+// the whitespace of <pre> and <textarea> is kept as it is
+function isPreformatted(name) {
+  return name === 'pre' || name === 'textarea';
+}
+
+function isWhitespace(fragment) {
+  return (
+    fragment.type === 'Comment' ||
+    (fragment.type === 'Text' && /^[ \t\r\n\f]*$/.test(fragment.value))
+  );
+}
+
+// remove the whitespace at the start and the end of the fragments
+function trimWhitespace(fragments) {
+  const first = fragments.findIndex((fragment) => !isWhitespace(fragment));
+  if (first === -1) return [];
+  const last = fragments.findLastIndex((fragment) => !isWhitespace(fragment));
+  return fragments.slice(first, last + 1).map((fragment, index, trimmed) => {
+    if (fragment.type !== 'Text') return fragment;
+    let value = fragment.value;
+    if (index === 0) value = value.replace(/^[ \t\r\n\f]+/, '');
+    if (index === trimmed.length - 1) {
+      value = value.replace(/[ \t\r\n\f]+$/, '');
     }
+    return { ...fragment, value };
+  });
+}
+
+// directives, eg: `on:click`, are not rendered as attributes
+function isDirective(attribute) {
+  return (
+    attribute.type === 'Attribute' &&
+    /^(on|bind|let|transition|in|out|animate):/.test(attribute.name)
   );
+}
 
-  const templateLiteral = {
-    type: 'TemplateLiteral',
-    expressions: code.template.expressions,
-    quasis: code.template.quasis.map((str) => ({
-      type: 'TemplateElement',
-      value: {
-        raw: str,
-        cooked: str,
-      },
-    })),
-  };
+// `transition:fade`, `in:fly`, `out:fade` and `animate:flip`
+function isTransition(attribute) {
+  return (
+    attribute.type === 'Attribute' &&
+    /^(transition|in|out|animate):/.test(attribute.name)
+  );
+}
 
-  return `
-    export default function() {
-      ${code.variables.map((v) => `let ${v};`).join('\n')}
-      ${escodegen.generate(ast.script)}
-      ${code.reactiveDeclarations.join('\n')}
+function isLet(attribute) {
+  return attribute.type === 'Attribute' && attribute.name.startsWith('let:');
+}
+
+function isBinding(attribute) {
+  return attribute.type === 'Attribute' && attribute.name.startsWith('bind:');
+}
+
+// `bind:value` is short for `bind:value={value}`
+function directiveExpression(attribute) {
+  if (attribute.value === true) {
+    return {
+      type: 'Identifier',
+      name: attribute.name.slice(attribute.name.indexOf(':') + 1),
+    };
+  }
+  return attribute.value[0].expression;
+}
+
+// the names assigned by a statement or an expression, except the ones it declares,
+// eg: `count` for `() => count++`
+function getAssignedNames(node) {
+  const names = new Set();
+  const { map, scope } = periscopic.analyze(node);
+  let currentScope = scope;
+  estreewalker.walk(node, {
+    enter(node) {
+      if (map.has(node)) currentScope = map.get(node);
+      if (
+        node.type === 'UpdateExpression' ||
+        node.type === 'AssignmentExpression'
+      ) {
+        periscopic
+          .extract_names(
+            node.type === 'UpdateExpression' ? node.argument : node.left
+          )
+          .filter((name) => !currentScope.find_owner(name))
+          .forEach((name) => names.add(name));
+      }
+    },
+    leave(node) {
+      if (map.has(node)) currentScope = currentScope.parent;
+    },
+  });
+  return Array.from(names);
+}
+
+// `user` for `user.name`, `items` for `items[i].done`
+function getRootName(expression) {
+  while (expression.type === 'MemberExpression') {
+    expression = expression.object;
+  }
+  return expression.name;
+}
+
+function isStaticAttribute(attribute) {
+  return (
+    attribute.value === true ||
+    attribute.value.every((part) => part.type === 'Text')
+  );
+}
+
+// `name={value}` keeps the value as is, `name="a {b} c"` is concatenated into a string
+function attributeValue(value) {
+  if (value.length === 0) return '""';
+  if (value.length === 1 && value[0].type === 'Expression') {
+    return print(value[0].expression);
+  }
+  return value
+    .map((part, index) =>
+      part.type === 'Text'
+        ? JSON.stringify(part.value)
+        : `${index === 0 ? '"" + ' : ''}(${print(
+            part.expression
+          )})`
+    )
+    .join(' + ');
+}
+
+// `import Counter from './Counter.svelte'` imports the compiled component,
+// with the `query` appended, eg: `./Counter.ssr.js?t=1`
+function generateImports(imports, compileTarget, runtime, query = '') {
+  return imports
+    .map((node) => {
+      let source = node.source.value;
+      if (source.endsWith('.svelte')) {
+        source =
+          source.replace(
+            /\.svelte$/,
+            compileTarget === 'ssr' ? '.ssr.js' : '.js'
+          ) + query;
+      } else if (source === 'svelte' || source.startsWith('svelte/')) {
+        // eg: `svelte` and `svelte/store` are served by the runtime
+        source = `${runtime}/${source.slice('svelte/'.length) || 'index'}.js`;
+      }
+      if (source !== node.source.value) {
+        node = { ...node, source: { type: 'Literal', value: source } };
+      }
+      return print(node);
+    })
+    .join('\n');
+}
+
+// `$count = 1` and `$count.x++` set the store `count` to the new value of `$count`
+function instrumentStoreAssignments(node, stores) {
+  return estreewalker.walk(node, {
+    leave(node) {
+      if (
+        node.type !== 'UpdateExpression' &&
+        node.type !== 'AssignmentExpression'
+      ) {
+        return;
+      }
+      const name = getRootName(
+        node.type === 'UpdateExpression' ? node.argument : node.left
+      );
+      if (!name?.startsWith('$') || !stores.has(name.slice(1))) return;
+      this.replace({
+        type: 'CallExpression',
+        callee: { type: 'Identifier', name: '$$set_store_value' },
+        arguments: [
+          { type: 'Identifier', name: name.slice(1) },
+          node,
+          { type: 'Identifier', name },
+        ],
+        optional: false,
+      });
+    },
+  });
+}
 
-      return ${escodegen.generate(templateLiteral)};
+// subscribe to the stores once they are declared, the imported ones beforehand
+function subscribeStores(script, analysis, subscription) {
+  const subscriptions = new Map();
+  analysis.stores.forEach((name) => {
+    const declaration = analysis.rootScope.declarations.get(name);
+    const statement = script.body.includes(declaration) ? declaration : null;
+    if (!subscriptions.has(statement)) subscriptions.set(statement, []);
+    subscriptions.get(statement).push(
+      ...acorn.parse(subscription(name), { ecmaVersion: 2022 }).body
+    );
+  });
+  script.body = [
+    ...(subscriptions.get(null) ?? []),
+    ...script.body.flatMap((statement) => [
+      statement,
+      ...(subscriptions.get(statement) ?? []),
+    ]),
+  ];
+}
+
+// the children of a component grouped by the slot they are passed to,
+// along with the `let:` directives of the slot
+function groupSlots(node) {
+  const slots = new Map();
+  function getSlot(name) {
+    if (!slots.has(name)) slots.set(name, { lets: [], fragments: [] });
+    return slots.get(name);
+  }
+  node.children.forEach((child) => {
+    const slotAttribute =
+      child.type === 'Element' &&
+      child.attributes.find(
+        (attribute) =>
+          attribute.name === 'slot' && isStaticAttribute(attribute)
+      );
+    if (slotAttribute) {
+      const slot = getSlot(slotAttribute.value[0]?.value ?? 'default');
+      slot.lets.push(...child.attributes.filter(isLet));
+      slot.fragments.push({
+        ...child,
+        attributes: child.attributes.filter(
+          (attribute) => attribute !== slotAttribute && !isLet(attribute)
+        ),
+      });
+    } else {
+      getSlot('default').fragments.push(child);
     }
-  `;
+  });
+  // the whitespace around the named slots is not content of the default slot
+  if (slots.get('default')?.fragments.every(isWhitespace)) {
+    slots.delete('default');
+  }
+  if (slots.has('default')) {
+    getSlot('default').lets.push(...node.attributes.filter(isLet));
+  }
+  return slots;
 }
 
-function extract_names(jsNode, result = []) {
-  switch (jsNode.type) {
-    case 'Identifier':
-      result.push(jsNode.name);
-      break;
-    case 'BinaryExpression':
-      extract_names(jsNode.left, result);
-      extract_names(jsNode.right, result);
-      break;
+// scope the <style> to the component: add the `svelte-xxx` class to the
+// selectors, and to the elements that they match
+function scopeStyle(ast, warnings, hashSource) {
+  const hash = `svelte-${hashString(hashSource)}`;
+
+  // the elements in the template, along with their parent and previous siblings
+  const elements = [];
+  // `siblings` holds the elements that may precede the collected ones
+  function collectElements(fragments, parent, siblings = []) {
+    // the elements of a branch may follow what precedes the block
+    const collectBranch = (children) => {
+      const branch = [...siblings];
+      collectElements(children, parent, branch);
+      return branch.slice(siblings.length);
+    };
+    fragments.forEach((fragment) => {
+      switch (fragment.type) {
+        case 'Element': {
+          const element = { node: fragment, parent, siblings: [...siblings] };
+          elements.push(element);
+          siblings.push(element);
+          collectElements(fragment.children, element);
+          break;
+        }
+        // the content of components and slots belong to the parent
+        case 'InlineComponent':
+        case 'Slot':
+          collectElements(fragment.children, parent, siblings);
+          break;
+        case 'IfBlock':
+          siblings.push(
+            ...fragment.branches.flatMap((branch) =>
+              collectBranch(branch.children)
+            ),
+            ...(fragment.alternate ? collectBranch(fragment.alternate) : [])
+          );
+          break;
+        case 'EachBlock': {
+          const items = collectBranch(fragment.children);
+          // an item may follow the previous items
+          items.forEach((element) => element.siblings.push(...items));
+          siblings.push(
+            ...items,
+            ...(fragment.alternate ? collectBranch(fragment.alternate) : [])
+          );
+          break;
+        }
+        case 'AwaitBlock':
+          ['pending', 'then', 'catch'].forEach((branch) => {
+            if (fragment[branch]) {
+              siblings.push(...collectBranch(fragment[branch]));
+            }
+          });
+          break;
+      }
+    });
   }
-  return result;
+  collectElements(ast.html, null);
+
+  const scopedElements = new Set();
+  csstree.walk(ast.style.ast, {
+    visit: 'Rule',
+    enter(rule, item, list) {
+      // the selectors within @keyframes are not selectors
+      if (
+        this.atrule &&
+        csstree.keyword(this.atrule.name).basename === 'keyframes'
+      ) {
+        return;
+      }
+      rule.prelude.children = rule.prelude.children.filter((selector) => {
+        const chain = toChain(selector);
+        // the trailing global selectors, eg: `p :global(span)`, may match
+        // the content of child components, only the selectors before them
+        // have to match the elements of the component
+        const last = chain.findLastIndex((compound) => !compound.global);
+        if (last === -1) {
+          unwrapGlobal(chain);
+          selector.children = fromChain(chain);
+          return true;
+        }
+
+        let used = false;
+        elements.forEach((element) => {
+          const matched = matchChain(chain, last, element);
+          if (matched) {
+            used = true;
+            matched.forEach((element) => scopedElements.add(element.node));
+          }
+        });
+        if (!used) {
+          warnings.push({
+            code: 'css-unused-selector',
+            message: `Unused CSS selector "${csstree.generate(selector)}"`,
+          });
+          return false;
+        }
+
+        unwrapGlobal(chain);
+        chain.forEach((compound) => {
+          if (compound.global) return;
+          // .a:hover -> .a.svelte-xxx:hover
+          const index = compound.selectors.findIndex(
+            (selector) =>
+              selector.type === 'PseudoClassSelector' ||
+              selector.type === 'PseudoElementSelector'
+          );
+          compound.selectors.splice(
+            index === -1 ? compound.selectors.length : index,
+            0,
+            { type: 'ClassSelector', name: hash }
+          );
+        });
+        selector.children = fromChain(chain);
+        return true;
+      });
+      // remove the rule if all of its selectors are unused
+      if (rule.prelude.children.isEmpty) {
+        list.remove(item);
+      }
+    },
+  });
+
+  // add the class to the matched elements
+  scopedElements.forEach((element) => {
+    const classAttribute = element.attributes.find(
+      (attribute) => attribute.type === 'Attribute' && attribute.name === 'class'
+    );
+    const spreads = element.attributes.filter(
+      (attribute) => attribute.type === 'Spread'
+    );
+    if (spreads.length > 0) {
+      // the class may come from {...spread}, so it is appended to
+      // whichever class is set last
+      const object = element.attributes
+        .filter(
+          (attribute) =>
+            attribute.type === 'Spread' || attribute === classAttribute
+        )
+        .map((attribute) =>
+          attribute.type === 'Spread'
+            ? `...(${print(attribute.expression)})`
+            : `"class": ${
+                attribute.value === true ? '""' : attributeValue(attribute.value)
+              }`
+        );
+      element.attributes = element.attributes.filter(
+        (attribute) => attribute !== classAttribute
+      );
+      element.attributes.push({
+        type: 'Attribute',
+        name: 'class',
+        value: [
+          {
+            type: 'Expression',
+            expression: acorn.parseExpressionAt(
+              `({ ${object.join(', ')} }).class || ""`,
+              0,
+              { ecmaVersion: 2022 }
+            ),
+          },
+          { type: 'Text', value: ` ${hash}` },
+        ],
+      });
+    } else if (!classAttribute) {
+      element.attributes.push({
+        type: 'Attribute',
+        name: 'class',
+        value: [{ type: 'Text', value: hash }],
+      });
+    } else if (classAttribute.value === true) {
+      classAttribute.value = [{ type: 'Text', value: hash }];
+    } else if (isStaticAttribute(classAttribute)) {
+      classAttribute.value = [
+        {
+          type: 'Text',
+          value: `${classAttribute.value[0]?.value ?? ''} ${hash}`.trim(),
+        },
+      ];
+    } else {
+      classAttribute.value = [
+        ...classAttribute.value,
+        { type: 'Text', value: ` ${hash}` },
+      ];
+    }
+  });
+
+  return {
+    hash,
+    code: csstree.generate(ast.style.ast),
+  };
+
+  // `div > .a b` -> [{ selectors: [div] }, { combinator: >, selectors: [.a] }, { combinator: ' ', selectors: [b] }]
+  function toChain(selector) {
+    const chain = [{ combinator: null, selectors: [] }];
+    selector.children.forEach((node) => {
+      if (node.type === 'Combinator') {
+        chain.push({ combinator: node, selectors: [] });
+      } else {
+        chain[chain.length - 1].selectors.push(node);
+      }
+    });
+    chain.forEach((compound) => {
+      compound.global = compound.selectors.some(
+        (node) => node.type === 'PseudoClassSelector' && node.name === 'global'
+      );
+    });
+    return chain;
+  }
+  function fromChain(chain) {
+    return new csstree.List().fromArray(
+      chain.flatMap(({ combinator, selectors }) =>
+        combinator ? [combinator, ...selectors] : selectors
+      )
+    );
+  }
+  // :global(.a) -> .a
+  function unwrapGlobal(chain) {
+    chain.forEach((compound) => {
+      compound.selectors = compound.selectors.flatMap((node) => {
+        if (node.type === 'PseudoClassSelector' && node.name === 'global') {
+          return node.children ? node.children.toArray() : [];
+        }
+        return [node];
+      });
+    });
+  }
+  // match the selector from right to left, returns the matched elements, or null
+  function matchChain(chain, index, element) {
+    if (!matchCompound(chain[index], element.node)) return null;
+    // the global selectors on the left may match anything outside the component
+    // the elements matched by global selectors are not scoped
+    const scoped = chain[index].global ? [] : [element];
+    if (chain.slice(0, index).every((compound) => compound.global)) {
+      return scoped;
+    }
+    let candidates;
+    switch (chain[index].combinator.name) {
+      case '>':
+        candidates = element.parent ? [element.parent] : [];
+        break;
+      // blocks make the adjacent sibling unknown, both may precede the element
+      case '+':
+      case '~':
+        candidates = element.siblings;
+        break;
+      default: {
+        candidates = [];
+        for (let parent = element.parent; parent; parent = parent.parent) {
+          candidates.push(parent);
+        }
+      }
+    }
+    for (const candidate of candidates) {
+      const matched = matchChain(chain, index - 1, candidate);
+      if (matched) return [...matched, ...scoped];
+    }
+    return null;
+  }
+  // dynamic attributes may match anything
+  function matchCompound(compound, node) {
+    if (compound.global) return true;
+    const hasSpread = node.attributes.some(
+      (attribute) => attribute.type === 'Spread'
+    );
+    const matchAttribute = (name, test) => {
+      const attribute = node.attributes.find(
+        (attribute) => attribute.type === 'Attribute' && attribute.name === name
+      );
+      if (!attribute) return hasSpread;
+      if (!isStaticAttribute(attribute)) return true;
+      return test(attribute.value === true ? '' : attribute.value[0]?.value ?? '');
+    };
+    return compound.selectors.every((selector) => {
+      switch (selector.type) {
+        case 'TypeSelector':
+          return (
+            selector.name === '*' ||
+            selector.name.toLowerCase() === node.name.toLowerCase()
+          );
+        case 'ClassSelector':
+          return matchAttribute('class', (value) =>
+            value.split(/\s+/).includes(selector.name)
+          );
+        case 'IdSelector':
+          return matchAttribute('id', (value) => value === selector.name);
+        case 'AttributeSelector':
+          return matchAttribute(selector.name.name, (value) => {
+            if (!selector.value || selector.matcher !== '=') return true;
+            return (
+              value === (selector.value.value ?? selector.value.name)
+            );
+          });
+        default:
+          return true;
+      }
+    });
+  }
+}
+
+function hashString(str) {
+  let hash = 5381;
+  for (let i = 0; i < str.length; i++) {
+    hash = ((hash << 5) - hash) ^ str.charCodeAt(i);
+  }
+  return (hash >>> 0).toString(36);
 }
@@ -0,0 +1,33 @@
+// the functions imported from 'svelte/animate', used by `animate:` in keyed each blocks
+import { cubicOut } from './easing.js';
+
+// move the element from its previous position with a transform,
+// `duration` may be a function of the distance
+export function flip(
+  node,
+  { from, to },
+  { delay = 0, duration = (d) => Math.sqrt(d) * 120, easing = cubicOut } = {}
+) {
+  const style = getComputedStyle(node);
+  const transform = style.transform === 'none' ? '' : style.transform;
+  const [ox, oy] = style.transformOrigin
+    .split(' ')
+    .map((value) => parseFloat(value) || 0);
+  const dx = from.left + (from.width * ox) / to.width - (to.left + ox);
+  const dy = from.top + (from.height * oy) / to.height - (to.top + oy);
+  const sx = from.width / to.width;
+  const sy = from.height / to.height;
+  const d = Math.sqrt(dx * dx + dy * dy);
+  return {
+    delay,
+    duration: typeof duration === 'function' ? duration(d) : duration,
+    easing,
+    css: (t, u) => {
+      const x = u * dx;
+      const y = u * dy;
+      const scaleX = t + u * sx;
+      const scaleY = t + u * sy;
+      return `transform: ${transform} translate(${x}px, ${y}px) scale(${scaleX}, ${scaleY});`;
+    },
+  };
+}
@@ -0,0 +1,22 @@
+// the functions imported from 'svelte/easing', `t` goes from 0 to 1
+
+export function linear(t) {
+  return t;
+}
+
+export function cubicIn(t) {
+  return t * t * t;
+}
+
+export function cubicOut(t) {
+  const f = t - 1;
+  return f * f * f + 1;
+}
+
+export function cubicInOut(t) {
+  return t < 0.5 ? 4 * t * t * t : 0.5 * Math.pow(2 * t - 2, 3) + 1;
+}
+
+export function quintOut(t) {
+  return --t * t * t * t * t + 1;
+}
@@ -0,0 +1,134 @@
+// hot module replacement, for the components compiled with `{ hmr: true }`.
+// the module of a component exports a proxy, and when a new version of the
+// module is imported, the instances of the proxy are re-created with the new
+// version, keeping their state
+
+// the components, by the url of their module
+const hot_components = new Map();
+
+export function create_hot_component(url, component) {
+  const id = url.split('?')[0];
+  const existing = hot_components.get(id);
+  if (existing) {
+    existing.component = component;
+    existing.instances.forEach((instance) => instance.reload());
+    return existing.proxy;
+  }
+  const record = { component, instances: new Set(), proxy: null };
+  record.proxy = (options = {}) => create_hot_instance(record, options);
+  hot_components.set(id, record);
+  return record.proxy;
+}
+
+function create_hot_instance(record, options) {
+  let current = record.component(options);
+  // where the instance is mounted, to mount the new version at the same place
+  let target = null;
+  let anchor = null;
+  // the listeners are added again to the new version
+  const listeners = [];
+
+  const instance = {
+    create(...args) {
+      [target, , anchor = null] = args;
+      record.instances.add(instance);
+      current.create(...args);
+    },
+    update(changed) {
+      current.update(changed);
+    },
+    destroy(target) {
+      record.instances.delete(instance);
+      current.destroy(target);
+    },
+    $set(props) {
+      options = { ...options, props: { ...options.props, ...props } };
+      current.$set(props);
+    },
+    $on(type, handler) {
+      const listener = { type, handler, off: current.$on(type, handler) };
+      listeners.push(listener);
+      return () => {
+        listeners.splice(listeners.indexOf(listener), 1);
+        listener.off();
+      };
+    },
+    update_slots(changed) {
+      current.update_slots(changed);
+    },
+    move(new_target, new_anchor) {
+      target = new_target;
+      anchor = new_anchor;
+      current.move(new_target, new_anchor);
+    },
+    first() {
+      return current.first();
+    },
+    last() {
+      return current.last();
+    },
+    capture_state() {
+      return current.capture_state();
+    },
+    reload() {
+      const restored_state = current.capture_state();
+      const last = current.last();
+      const next = last ? last.nextSibling : anchor;
+      current.destroy(target);
+      current = record.component({ ...options, restored_state });
+      listeners.forEach((listener) => {
+        listener.off = current.$on(listener.type, listener.handler);
+      });
+      current.create(target, false, next, null);
+    },
+  };
+  return instance;
+}
+
+// listen to the dev server, which sends:
+// - `{ type: 'update', modules, css }` once the components are rebuilt,
+//   with the urls of the changed modules and whether the styles changed
+// - `{ type: 'error', errors }` when the components fail to compile
+export function connect(url) {
+  const ws = new WebSocket(url);
+  ws.addEventListener('message', async (event) => {
+    const message = JSON.parse(event.data);
+    if (message.type === 'error') {
+      show_overlay(message.errors);
+      return;
+    }
+    hide_overlay();
+    if (message.css) reload_stylesheets();
+    // importing the new version replaces the running instances
+    for (const module of message.modules) {
+      await import(`${module}?t=${Date.now()}`);
+    }
+  });
+  return ws;
+}
+
+// swap the stylesheets served by the dev server, without re-creating the components
+function reload_stylesheets() {
+  document.querySelectorAll('link[rel="stylesheet"]').forEach((link) => {
+    const href = new URL(link.href);
+    if (href.origin !== location.origin) return;
+    href.searchParams.set('t', Date.now());
+    link.href = href.pathname + href.search;
+  });
+}
+
+const overlay_id = 'svelte-hmr-overlay';
+
+function show_overlay(errors) {
+  hide_overlay();
+  const overlay = document.createElement('pre');
+  overlay.id = overlay_id;
+  overlay.style.cssText =
+    'position: fixed; inset: 0; z-index: 2147483647; margin: 0; padding: 16px; overflow: auto; background: rgba(0, 0, 0, 0.85); color: #ff5555; font: 14px monospace; white-space: pre-wrap;';
+  overlay.textContent = errors.join('\n\n');
+  document.body.appendChild(overlay);
+}
+
+function hide_overlay() {
+  document.getElementById(overlay_id)?.remove();
+}
@@ -0,0 +1,9 @@
+// the functions imported from 'svelte' by the components
+export {
+  onMount,
+  onDestroy,
+  beforeUpdate,
+  afterUpdate,
+  createEventDispatcher,
+  tick,
+} from './internal.js';
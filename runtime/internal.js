@@ -0,0 +1,706 @@
+// reconcile the rendered rows of an each block with the new list,
+// reusing the rows with the same key and moving them into their new position.
+// unkeyed each blocks use the index as the key.
+export function update_keyed_each(
+  old_blocks,
+  list,
+  get_key,
+  create_block,
+  changed,
+  anchor
+) {
+  const parent = anchor.parentNode;
+  const lookup = new Map();
+  old_blocks.forEach((old_block) => lookup.set(old_block.key, old_block));
+
+  const keys = new Set();
+  const created = new Set();
+  const new_blocks = list.map((value, index) => {
+    const key = get_key(value, index);
+    if (keys.has(key)) {
+      throw new Error('Cannot have duplicate keys in a keyed each');
+    }
+    keys.add(key);
+
+    if (lookup.has(key)) {
+      const { block } = lookup.get(key);
+      lookup.delete(key);
+      block.set(value, index);
+      block.update(changed);
+      return { key, block };
+    }
+    const block = create_block(value, index);
+    created.add(block);
+    return { key, block };
+  });
+
+  // rows that are no longer in the list
+  lookup.forEach(({ block }) => block.destroy(parent));
+
+  // insert from the end, so that the row after is always in place,
+  // and only move the rows that are not right before it
+  let next = anchor;
+  for (let index = new_blocks.length - 1; index >= 0; index--) {
+    const { block } = new_blocks[index];
+    if (created.has(block)) {
+      block.create(parent, next, null);
+    } else {
+      const last = block.last();
+      if (last && last.nextSibling !== next) {
+        block.move(parent, next);
+      }
+    }
+    next = block.first() ?? next;
+  }
+
+  return new_blocks;
+}
+
+// the server renders `<!--pending-->`, `<!--then-->` or `<!--catch-->` before
+// the content of an await block. when the server rendered a different branch
+// from the one the client starts with, claim the server-rendered nodes as a
+// placeholder block, to be replaced once the promise settles.
+export function claim_await_placeholder(nodes, state) {
+  const marker = nodes[0];
+  if (
+    !(
+      marker?.nodeType === 8 &&
+      ['pending', 'then', 'catch'].includes(marker.data)
+    )
+  ) {
+    return null;
+  }
+  nodes.shift();
+  marker.parentNode.removeChild(marker);
+  if (marker.data === state) return null;
+
+  const placeholder = [];
+  let depth = 0;
+  while (nodes.length > 0) {
+    const node = nodes[0];
+    if (node.nodeType === 8 && node.data === '/await') {
+      if (depth === 0) break;
+      depth--;
+    } else if (
+      node.nodeType === 8 &&
+      ['pending', 'then', 'catch'].includes(node.data)
+    ) {
+      depth++;
+    }
+    placeholder.push(nodes.shift());
+  }
+  return {
+    update() {},
+    destroy(target) {
+      placeholder.forEach((node) => target.removeChild(node));
+    },
+    move(target, anchor) {
+      placeholder.forEach((node) => target.insertBefore(node, anchor));
+    },
+    first() {
+      return placeholder[0] ?? null;
+    },
+    last() {
+      return placeholder[placeholder.length - 1] ?? null;
+    },
+  };
+}
+
+// during hydration, the server-rendered nodes are claimed in order. the nodes
+// which are missing or do not match are created in place, and the nodes
+// left unclaimed are removed. `component` is only passed in dev mode,
+// to report the mismatches
+function hydration_mismatch(component, message) {
+  if (component) console.warn(`<${component}> hydration mismatch: ${message}`);
+}
+
+function describe_node(node) {
+  if (!node) return 'nothing';
+  if (node.nodeType === 1) return `<${node.nodeName.toLowerCase()}>`;
+  if (node.nodeType === 3) return `text "${node.data}"`;
+  return `<!--${node.data}-->`;
+}
+
+// insert a node created during hydration before the next server-rendered node
+function insert_claimed(nodes, target, anchor, node) {
+  target.insertBefore(
+    node,
+    nodes[0]?.parentNode === target ? nodes[0] : anchor
+  );
+  return node;
+}
+
+// the other elements before the next text or comment, eg: injected by
+// a browser extension, are skipped in search of the element
+export function claim_element(nodes, target, anchor, name, component) {
+  const index = nodes.findIndex(
+    (node) =>
+      node.nodeType !== 1 || node.nodeName.toLowerCase() === name.toLowerCase()
+  );
+  if (index !== -1 && nodes[index].nodeType === 1) {
+    detach_unclaimed(nodes.splice(0, index), component);
+    return nodes.shift();
+  }
+  hydration_mismatch(
+    component,
+    `expected <${name}>, found ${describe_node(nodes[0])}`
+  );
+  return insert_claimed(nodes, target, anchor, document.createElement(name));
+}
+
+export function claim_text(nodes, target, anchor, value, component) {
+  const data = String(value);
+  const node = nodes[0];
+  // the html parser does not create empty texts
+  let claimed;
+  if (node?.nodeType === 3 && data !== '') {
+    claimed = nodes.shift();
+    if (claimed.data !== data) {
+      if (claimed.data.startsWith(data)) {
+        // without the markers, the adjacent texts are merged into one
+        nodes.unshift(claimed.splitText(data.length));
+      } else {
+        hydration_mismatch(
+          component,
+          `expected text "${data}", found "${claimed.data}"`
+        );
+        claimed.data = data;
+      }
+    }
+  } else {
+    claimed = insert_claimed(
+      nodes,
+      target,
+      anchor,
+      document.createTextNode(data)
+    );
+  }
+  // the marker rendered after the text, to keep it apart from the next text
+  if (nodes[0]?.nodeType === 8 && nodes[0].data === '') {
+    const marker = nodes.shift();
+    marker.parentNode.removeChild(marker);
+  }
+  return claimed;
+}
+
+// the anchor of a block. the nodes before it were not claimed by the block,
+// eg: the server rendered another branch
+export function claim_comment(nodes, target, anchor, data, component) {
+  const index = nodes.findIndex(
+    (node) => node.nodeType === 8 && node.data === data
+  );
+  if (index === -1) {
+    hydration_mismatch(component, `expected <!--${data}-->, found nothing`);
+    return insert_claimed(nodes, target, anchor, document.createComment(data));
+  }
+  detach_unclaimed(nodes.splice(0, index), component);
+  return nodes.shift();
+}
+
+export function detach_unclaimed(nodes, component) {
+  if (nodes.length === 0) return;
+  hydration_mismatch(
+    component,
+    `unexpected ${nodes.map(describe_node).join(', ')}`
+  );
+  detach_all(nodes.splice(0));
+}
+
+// attributes that are present or absent, rather than having a value
+const boolean_attributes = new Set([
+  'allowfullscreen',
+  'async',
+  'autofocus',
+  'autoplay',
+  'checked',
+  'controls',
+  'default',
+  'defer',
+  'disabled',
+  'formnovalidate',
+  'hidden',
+  'inert',
+  'ismap',
+  'loop',
+  'multiple',
+  'muted',
+  'nomodule',
+  'novalidate',
+  'open',
+  'playsinline',
+  'readonly',
+  'required',
+  'reversed',
+  'selected',
+]);
+// attributes that only set the initial state of an element,
+// the current state has to be set through the DOM property
+const property_attributes = new Set([
+  'value',
+  'checked',
+  'selected',
+  'indeterminate',
+  'muted',
+]);
+
+export function set_attribute(node, name, value) {
+  // keep the value as is for bind:group and <select bind:value>
+  if (name === 'value') node.__value = value;
+  if (property_attributes.has(name) && name in node) {
+    node[name] = name === 'value' ? value ?? '' : value;
+  } else if (
+    value == null ||
+    (boolean_attributes.has(name) && !value)
+  ) {
+    node.removeAttribute(name);
+  } else {
+    node.setAttribute(
+      name,
+      boolean_attributes.has(name) || value === true ? '' : value
+    );
+  }
+}
+
+// set the attributes from {...spread}, removing those no longer present
+export function set_attributes(node, attributes, previous) {
+  for (const name in previous) {
+    if (!(name in attributes)) set_attribute(node, name, undefined);
+  }
+  for (const name in attributes) {
+    set_attribute(node, name, attributes[name]);
+  }
+  return attributes;
+}
+
+// the value of an <input> or <option>, with the type of `value={...}`
+export function input_value(node) {
+  return '__value' in node ? node.__value : node.value;
+}
+
+export function select_option(select, value) {
+  for (const option of select.options) {
+    option.selected = input_value(option) === value;
+  }
+}
+
+export function to_number(value) {
+  return value === '' ? null : +value;
+}
+
+export function escape_attribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;');
+}
+
+// serialize an attribute for server-side rendering
+export function attribute(name, value) {
+  if (value == null || (boolean_attributes.has(name) && !value)) return '';
+  if (boolean_attributes.has(name) || value === true) return ` ${name}`;
+  return ` ${name}="${escape_attribute(value)}"`;
+}
+
+// the names which would break out of the tag are left out
+export function spread_attributes(attributes) {
+  return Object.keys(attributes)
+    .filter((name) => /^[^\s"'<>/=]+$/.test(name))
+    .map((name) => attribute(name, attributes[name]))
+    .join('');
+}
+
+// escape a text for server-side rendering
+export function escape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// inject the styles of a component once,
+// a hot-replaced component updates the styles in place
+export function append_styles(id, css) {
+  const existing = document.getElementById(id);
+  if (existing) {
+    if (existing.textContent !== css) existing.textContent = css;
+    return;
+  }
+  const style = document.createElement('style');
+  style.id = id;
+  style.textContent = css;
+  document.head.appendChild(style);
+}
+
+const resolved_promise = Promise.resolve();
+// the flush functions of the components changed since the last microtask
+const dirty_components = [];
+let update_scheduled = false;
+
+// flush the changes of the component in the next microtask,
+// along with the other components changed in the meantime
+export function schedule_update(flush) {
+  dirty_components.push(flush);
+  if (!update_scheduled) {
+    update_scheduled = true;
+    resolved_promise.then(flush_components);
+  }
+}
+
+function flush_components() {
+  // the components updated while flushing, eg: the children receiving new props,
+  // are flushed in the same pass
+  // an error thrown by one of them does not stop the later updates
+  try {
+    for (let i = 0; i < dirty_components.length; i++) {
+      dirty_components[i]();
+    }
+  } finally {
+    dirty_components.length = 0;
+    update_scheduled = false;
+  }
+}
+
+// resolves once the pending changes are applied to the DOM
+export function tick() {
+  return resolved_promise;
+}
+
+// the lifecycle callbacks of the component whose script is running
+let current_component = null;
+
+// returns the previous component, to be restored once the script has run
+export function set_current_component(component) {
+  const previous = current_component;
+  current_component = component;
+  return previous;
+}
+
+function get_current_component(name) {
+  if (!current_component) {
+    throw new Error(`${name}() must be called while the component is initialised`);
+  }
+  return current_component;
+}
+
+export function onMount(fn) {
+  get_current_component('onMount').on_mount.push(fn);
+}
+
+export function onDestroy(fn) {
+  get_current_component('onDestroy').on_destroy.push(fn);
+}
+
+export function beforeUpdate(fn) {
+  get_current_component('beforeUpdate').before_update.push(fn);
+}
+
+export function afterUpdate(fn) {
+  get_current_component('afterUpdate').after_update.push(fn);
+}
+
+export function run_all(fns) {
+  fns.forEach((fn) => fn());
+}
+
+// the function returned by an `onMount` callback is run when the component is destroyed
+export function run_on_mount(callbacks) {
+  callbacks.on_mount.forEach((fn) => {
+    const cleanup = fn();
+    if (typeof cleanup === 'function') callbacks.on_destroy.push(cleanup);
+  });
+}
+
+// the callback is called with the current value right away, and on every change
+export function subscribe(store, callback) {
+  if (store == null) {
+    callback(undefined);
+    return () => {};
+  }
+  const unsubscribe = store.subscribe(callback);
+  // eg: the subscriptions of RxJS observables
+  return unsubscribe.unsubscribe ? () => unsubscribe.unsubscribe() : unsubscribe;
+}
+
+export function get_store_value(store) {
+  let value;
+  subscribe(store, (newValue) => (value = newValue))();
+  return value;
+}
+
+// `$count = 1` is compiled to `set_store_value(count, $count = 1, $count)`
+export function set_store_value(store, result, value) {
+  store.set(value);
+  return result;
+}
+
+// returns the function removing the listener
+export function listen(node, event, handler, options) {
+  node.addEventListener(event, handler, options);
+  return () => node.removeEventListener(event, handler, options);
+}
+
+export function prevent_default(fn) {
+  return function (event) {
+    event.preventDefault();
+    return fn.call(this, event);
+  };
+}
+
+export function stop_propagation(fn) {
+  return function (event) {
+    event.stopPropagation();
+    return fn.call(this, event);
+  };
+}
+
+// only handle the events dispatched on the element itself, not on its children
+export function self(fn) {
+  return function (event) {
+    if (event.target === this) return fn.call(this, event);
+  };
+}
+
+export function once(fn) {
+  let called = false;
+  return function (event) {
+    if (called) return;
+    called = true;
+    return fn.call(this, event);
+  };
+}
+
+// the listeners of the component events, added by the parent with `on:message`
+export function add_listener(component, type, handler) {
+  const listeners = (component.listeners[type] ??= []);
+  listeners.push(handler);
+  return () => {
+    const index = listeners.indexOf(handler);
+    if (index !== -1) listeners.splice(index, 1);
+  };
+}
+
+// `on:click` without a handler forwards the event to the listeners of the component
+export function bubble(component, event) {
+  (component.listeners[event.type] ?? [])
+    .slice()
+    .forEach((handler) => handler.call(null, event));
+}
+
+// `dispatch('message', detail)` returns `false` if a listener called `event.preventDefault()`
+export function createEventDispatcher() {
+  const component = get_current_component('createEventDispatcher');
+  return (type, detail, { cancelable = false } = {}) => {
+    if (!component.listeners[type]) return true;
+    const event = new CustomEvent(type, { detail, cancelable });
+    bubble(component, event);
+    return !event.defaultPrevented;
+  };
+}
+
+const now = () => performance.now();
+const raf = (fn) =>
+  typeof requestAnimationFrame === 'function'
+    ? requestAnimationFrame(fn)
+    : setTimeout(() => fn(now()), 16);
+
+// the @keyframes generated for the transitions, shared by all the components
+const keyframes = new Set();
+let keyframes_style = null;
+
+function hash(str) {
+  let hash = 5381;
+  let i = str.length;
+  while (i--) hash = ((hash << 5) - hash) ^ str.charCodeAt(i);
+  return hash >>> 0;
+}
+
+// play `css(t, 1 - t)` from `a` to `b` as a css animation, returns its name
+function create_rule(node, a, b, duration, delay, easing, css) {
+  const step = 16.666 / duration;
+  let rule = '{\n';
+  for (let p = 0; p <= 1; p += step) {
+    const t = a + (b - a) * easing(p);
+    rule += `${p * 100}%{${css(t, 1 - t)}}\n`;
+  }
+  rule += `100% {${css(b, 1 - b)}}\n}`;
+  const name = `__svelte_${hash(rule)}`;
+  if (!keyframes.has(name)) {
+    keyframes.add(name);
+    if (!keyframes_style) {
+      keyframes_style = document.createElement('style');
+      document.head.appendChild(keyframes_style);
+    }
+    keyframes_style.textContent += `@keyframes ${name} ${rule}\n`;
+  }
+  const animation = node.style.animation;
+  node.style.animation = `${
+    animation ? `${animation}, ` : ''
+  }${name} ${duration}ms linear ${delay}ms 1 both`;
+  return name;
+}
+
+function delete_rule(node, name) {
+  node.style.animation = node.style.animation
+    .split(', ')
+    .filter((animation) => !animation.startsWith(name))
+    .join(', ');
+}
+
+// run a transition or an animation from `a` to `b`, with the css animation and
+// the `tick` callback of its config. resolves once it has ended or been cancelled.
+// the running one is kept on the node, eg: `node.__transition`
+function run(node, config, a, b, property = '__transition') {
+  node[property]?.cancel();
+  if (!config) return Promise.resolve();
+  const { delay = 0, easing = (t) => t, css, tick } = config;
+  // a reversed transition only runs for the remaining part of its duration
+  const duration = (config.duration ?? 300) * Math.abs(b - a);
+  const name =
+    css && duration > 0
+      ? create_rule(node, a, b, duration, delay, easing, css)
+      : null;
+  if (tick) tick(a, 1 - a);
+  const start = now() + delay;
+
+  return new Promise((resolve) => {
+    const transition = {
+      t: a,
+      cancel() {
+        if (name) delete_rule(node, name);
+        if (node[property] === transition) node[property] = null;
+        resolve();
+      },
+    };
+    node[property] = transition;
+    raf(function loop(time) {
+      if (node[property] !== transition) return;
+      if (time >= start + duration) {
+        transition.t = b;
+        if (tick) tick(b, 1 - b);
+        transition.cancel();
+        return;
+      }
+      if (time >= start) {
+        transition.t = a + (b - a) * easing((time - start) / duration);
+        if (tick) tick(transition.t, 1 - transition.t);
+      }
+      raf(loop);
+    });
+  });
+}
+
+// `in:fly={params}`, an interrupted outro is reversed from where it stopped
+export function transition_in(node, fn, params) {
+  const from = node.__transition?.t ?? 0;
+  return run(node, fn(node, params ?? {}, { direction: 'in' }), from, 1);
+}
+
+// `out:fade={params}`, the element is removed once the returned promise resolves
+export function transition_out(node, fn, params) {
+  const from = node.__transition?.t ?? 1;
+  return run(node, fn(node, params ?? {}, { direction: 'out' }), from, 0);
+}
+
+// `animate:flip={params}` moves the element of a keyed each block from its previous position
+export function run_animation(node, from, fn, params) {
+  const to = node.getBoundingClientRect();
+  if (
+    from.left === to.left &&
+    from.right === to.right &&
+    from.top === to.top &&
+    from.bottom === to.bottom
+  ) {
+    return;
+  }
+  run(node, fn(node, { from, to }, params ?? {}), 0, 1, '__animation');
+}
+
+export function measure_rows(rows) {
+  return new Map(rows.map(({ key, block }) => [key, block.measure()]));
+}
+
+// animate the rows which were already in the list
+export function animate_rows(rows, rects) {
+  rows.forEach(({ key, block }) => {
+    if (rects.has(key)) block.animate(rects.get(key));
+  });
+}
+
+// the content of `{@html}` rendered by the server
+export function render_html(value) {
+  return value == null ? '' : String(value);
+}
+
+// claim the nodes rendered by `{@html}`, up to its `<!--/html-->` anchor.
+// without the anchor, eg: with the comments stripped, nothing is claimed
+// and null is returned, so that the content is rendered again
+export function claim_html(nodes) {
+  const index = nodes.findIndex(
+    (node) => node.nodeType === 8 && node.data === '/html'
+  );
+  return index === -1 ? null : nodes.splice(0, index);
+}
+
+// insert the nodes of the html before the anchor, and return them
+export function insert_html(value, anchor) {
+  const template = document.createElement('template');
+  template.innerHTML = render_html(value);
+  const nodes = Array.from(template.content.childNodes);
+  nodes.forEach((node) => anchor.parentNode.insertBefore(node, anchor));
+  return nodes;
+}
+
+export function detach_all(nodes) {
+  nodes.forEach((node) => node.parentNode?.removeChild(node));
+}
+
+// the head, the styles and the state of the page component,
+// collected while rendering a page on the server
+export function create_render_context() {
+  return { head: '', css: new Map(), state: null };
+}
+
+// the values of the state which survive a round trip through json,
+// the browser falls back to the initial values for the others,
+// eg: promises, functions, dates and class instances
+export function serializable_state(state) {
+  return Object.fromEntries(
+    Object.entries(state).filter(([, value]) => is_serializable(value))
+  );
+}
+
+function is_serializable(value) {
+  if (value === null || ['string', 'boolean'].includes(typeof value)) {
+    return true;
+  }
+  if (typeof value === 'number') return Number.isFinite(value);
+  if (Array.isArray(value)) return value.every(is_serializable);
+  if (typeof value !== 'object') return false;
+  const prototype = Object.getPrototypeOf(value);
+  return (
+    (prototype === Object.prototype || prototype === null) &&
+    Object.values(value).every(is_serializable)
+  );
+}
+
+// `<svelte:head>` is rendered into the head of the page, between markers
+// so that the component can replace it once it runs in the browser
+export function add_head(context, html) {
+  context.head += `<!--svelte-head-->${html}<!--/svelte-head-->`;
+  return '';
+}
+
+// remove the first `<svelte:head>` rendered by the server
+export function detach_server_head() {
+  const nodes = Array.from(document.head.childNodes);
+  const start = nodes.findIndex(
+    (node) => node.nodeType === 8 && node.data === 'svelte-head'
+  );
+  if (start === -1) return;
+  const end = nodes.findIndex(
+    (node, index) =>
+      index > start && node.nodeType === 8 && node.data === '/svelte-head'
+  );
+  detach_all(nodes.slice(start, end === -1 ? undefined : end + 1));
+}
+
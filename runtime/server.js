@@ -0,0 +1,81 @@
+// render the server-side components into a page, eg:
+// `const { html, head, css } = await render(App, { props, load });`
+import { Readable } from 'node:stream';
+import { create_render_context } from './internal.js';
+
+const default_template =
+  '<!DOCTYPE html><html><head>%head%</head><body>%html%</body></html>';
+
+// `load` is a data loader, or a list of them run in parallel,
+// called with the props and resolving to the props they add
+export async function render(Component, { props = {}, load = [] } = {}) {
+  const loaded = await Promise.all([load].flat().map((fn) => fn(props)));
+  const context = create_render_context();
+  const html = await Component(
+    Object.assign({}, props, ...loaded),
+    {},
+    context
+  );
+  return {
+    html,
+    head: context.head,
+    css: { code: Array.from(context.css.values()).join('\n') },
+    state: context.state ?? {},
+  };
+}
+
+// the state as json that can be inlined in a <script>,
+// where a string holding `</script>` would otherwise end the script
+export function serializeState(state) {
+  return JSON.stringify(state).replace(
+    /[<>&\u2028\u2029]/g,
+    (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`
+  );
+}
+
+// the start of the template, up to `%head%`, is yielded before the data is loaded,
+// so that the browser can fetch the scripts and the styles in the meantime.
+// pass `css: false` when the styles are served as a stylesheet.
+// `%state%` is replaced by the serialized state, eg:
+// `<script type="application/json" id="svelte-state">%state%</script>`
+export async function* renderChunks(
+  Component,
+  { template = default_template, css = true, ...options } = {}
+) {
+  const [start, rest] = template.split('%head%');
+  const [middle, end] = rest.split('%html%');
+  yield start;
+  const rendered = await render(Component, options);
+  // split rather than replace, the state may hold `$&`
+  const state = (str) =>
+    str.split('%state%').join(serializeState(rendered.state));
+  yield `${rendered.head}${
+    css && rendered.css.code ? `<style>${rendered.css.code}</style>` : ''
+  }${state(middle)}`;
+  yield rendered.html;
+  yield state(end);
+}
+
+// the page as a web `ReadableStream` of bytes
+export function renderToStream(Component, options) {
+  const chunks = renderChunks(Component, options);
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    async pull(controller) {
+      const { value, done } = await chunks.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(encoder.encode(value));
+      }
+    },
+    cancel() {
+      chunks.return();
+    },
+  });
+}
+
+// the page as a node `Readable` of strings, eg: `.pipe(res)`
+export function renderToNodeStream(Component, options) {
+  return Readable.from(renderChunks(Component, options));
+}
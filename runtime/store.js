@@ -0,0 +1,84 @@
+// the functions imported from 'svelte/store' by the components
+import { get_store_value } from './internal.js';
+
+// `start` is called with `set` when the first subscriber subscribes,
+// and the function it returns is called when the last one unsubscribes
+export function readable(value, start) {
+  return { subscribe: writable(value, start).subscribe };
+}
+
+export function writable(value, start = () => {}) {
+  const subscribers = new Set();
+  let stop = null;
+
+  function set(newValue) {
+    if (newValue === value && (typeof value !== 'object' || value === null)) {
+      return;
+    }
+    value = newValue;
+    subscribers.forEach((subscriber) => subscriber(value));
+  }
+  function update(fn) {
+    set(fn(value));
+  }
+  function subscribe(subscriber) {
+    subscribers.add(subscriber);
+    if (subscribers.size === 1) {
+      stop = start(set) || (() => {});
+    }
+    subscriber(value);
+    return () => {
+      subscribers.delete(subscriber);
+      if (subscribers.size === 0 && stop) {
+        stop();
+        stop = null;
+      }
+    };
+  }
+  return { set, update, subscribe };
+}
+
+// `derived(a, ($a) => $a * 2)` or `derived([a, b], ([$a, $b], set) => ...)`,
+// the callback taking `set` may set the value asynchronously
+export function derived(stores, fn, initialValue) {
+  const single = !Array.isArray(stores);
+  const storesArray = single ? [stores] : stores;
+  const auto = fn.length < 2;
+
+  return readable(initialValue, (set) => {
+    const values = [];
+    let pending = 0;
+    let ready = false;
+    let cleanup = null;
+
+    function sync() {
+      if (pending) return;
+      if (cleanup) cleanup();
+      const result = fn(single ? values[0] : values, set);
+      if (auto) {
+        set(result);
+      } else {
+        cleanup = typeof result === 'function' ? result : null;
+      }
+    }
+
+    const unsubscribers = storesArray.map((store, index) => {
+      pending |= 1 << index;
+      return store.subscribe((value) => {
+        values[index] = value;
+        pending &= ~(1 << index);
+        if (ready) sync();
+      });
+    });
+    ready = true;
+    sync();
+
+    return () => {
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
+      if (cleanup) cleanup();
+    };
+  });
+}
+
+// read the current value of a store, without staying subscribed
+export { get_store_value as get };
@@ -0,0 +1,81 @@
+// the functions imported from 'svelte/transition', used by `transition:`, `in:` and `out:`.
+// `css(t, u)` returns the styles of the element as `t` goes from 0 to 1 for an intro,
+// and from 1 to 0 for an outro, `u` is `1 - t`
+import { cubicOut, linear } from './easing.js';
+
+export function fade(node, { delay = 0, duration = 400, easing = linear } = {}) {
+  const opacity = +getComputedStyle(node).opacity;
+  return {
+    delay,
+    duration,
+    easing,
+    css: (t) => `opacity: ${t * opacity}`,
+  };
+}
+
+export function fly(
+  node,
+  { delay = 0, duration = 400, easing = cubicOut, x = 0, y = 0, opacity = 0 } = {}
+) {
+  const style = getComputedStyle(node);
+  const targetOpacity = +style.opacity;
+  const transform = style.transform === 'none' ? '' : style.transform;
+  const od = targetOpacity * (1 - opacity);
+  return {
+    delay,
+    duration,
+    easing,
+    css: (t, u) => `
+      transform: ${transform} translate(${(1 - t) * x}px, ${(1 - t) * y}px);
+      opacity: ${targetOpacity - od * u}`,
+  };
+}
+
+export function slide(
+  node,
+  { delay = 0, duration = 400, easing = cubicOut, axis = 'y' } = {}
+) {
+  const style = getComputedStyle(node);
+  const opacity = +style.opacity;
+  const [size, start, end] =
+    axis === 'y' ? ['height', 'top', 'bottom'] : ['width', 'left', 'right'];
+  const properties = [
+    size,
+    `padding-${start}`,
+    `padding-${end}`,
+    `margin-${start}`,
+    `margin-${end}`,
+    `border-${start}-width`,
+    `border-${end}-width`,
+  ].map((property) => [property, parseFloat(style[property]) || 0]);
+  return {
+    delay,
+    duration,
+    easing,
+    css: (t) =>
+      'overflow: hidden;' +
+      `opacity: ${Math.min(t * 20, 1) * opacity};` +
+      properties
+        .map(([property, value]) => `${property}: ${t * value}px;`)
+        .join(''),
+  };
+}
+
+export function scale(
+  node,
+  { delay = 0, duration = 400, easing = cubicOut, start = 0, opacity = 0 } = {}
+) {
+  const style = getComputedStyle(node);
+  const targetOpacity = +style.opacity;
+  const transform = style.transform === 'none' ? '' : style.transform;
+  const sd = 1 - start;
+  const od = targetOpacity * (1 - opacity);
+  return {
+    delay,
+    duration,
+    easing,
+    css: (t, u) => `
+      transform: ${transform} scale(${1 - sd * u});
+      opacity: ${targetOpacity - od * u}`,
+  };
+}
@@ -4,50 +4,111 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { WebSocketServer } from 'ws';
 import { buildAppAndSsr } from './index.js';
+import { renderToNodeStream } from './runtime/server.js';
 
-buildAppAndSsr();
+// map the stack traces of the server-side rendering back to the components
+process.setSourceMapsEnabled(true);
+
+const root = path.join(fileURLToPath(import.meta.url), '..');
+
+// print all the errors of the components, and keep serving the last build.
+// returns the errors
+function build() {
+  try {
+    buildAppAndSsr({ css: 'external', hmr: true });
+    return [];
+  } catch (error) {
+    const errors = (error.errors ?? [error]).map(String);
+    errors.forEach((error) => console.error(error));
+    return errors;
+  }
+}
+// shown to the browsers connecting while the build is broken
+let buildErrors = build();
+
+// the `.svelte` files of the project
+function findComponents(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const filename = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return entry.name === 'node_modules' || entry.name.startsWith('.')
+        ? []
+        : findComponents(filename);
+    }
+    return entry.name.endsWith('.svelte') ? [filename] : [];
+  });
+}
+
+// the compiled components and the styles, to tell what a build has changed
+function readOutputs() {
+  return new Map(
+    [
+      ...findComponents(root).map((filename) =>
+        filename.replace(/\.svelte$/, '.js')
+      ),
+      path.join(root, 'app.css'),
+    ]
+      .filter((filename) => fs.existsSync(filename))
+      .map((filename) => [filename, fs.readFileSync(filename, 'utf-8')])
+  );
+}
 
 const server = createServer(async (req, res) => {
   const url = new URL(req.url, 'http://localhost');
-  if (url.pathname === '/app.js') {
-    const appJsContent = fs.readFileSync(
-      path.join(fileURLToPath(import.meta.url), '../app.js'),
-      'utf-8'
-    );
-    res.setHeader('Content-Type', 'text/javascript');
-    res.write(appJsContent);
+  // the compiled components, their source maps, the runtime and the styles
+  const contentType = {
+    '.js': 'text/javascript',
+    '.map': 'application/json',
+    '.css': 'text/css',
+  }[path.extname(url.pathname)];
+  if (contentType) {
+    const filename = path.join(root, url.pathname);
+    if (!filename.startsWith(root) || !fs.existsSync(filename)) {
+      res.statusCode = 404;
+      res.end();
+      return;
+    }
+    res.setHeader('Content-Type', contentType);
+    res.write(fs.readFileSync(filename, 'utf-8'));
     res.end();
     return;
   }
 
   // dynamically import the ssr code
   const appComponent = (await import('./ssr.js?t=' + Date.now())).default;
-  res.write(
-    `<html>
+  res.setHeader('Content-Type', 'text/html');
+  // the head is flushed before the component is rendered
+  const stream = renderToNodeStream(appComponent, {
+    template: `<html>
+    <head>
+      <link rel="stylesheet" href="/app.css">
+      %head%
+    </head>
     <body>
-      <div id="app">${appComponent()}</div>
+      <div id="app">%html%</div>
+      <script type="application/json" id="svelte-state">%state%</script>
       <script type="module">
-        import App from './app.js';
+        import App from '/app.js';
+        import { connect } from '/runtime/hmr.js';
         const container = document.querySelector('#app');
 
-        let app = App();
-        app.create(container);
+        // hydrate from the state the page was rendered with
+        const state = document.querySelector('#svelte-state').textContent;
+        App({ restored_state: JSON.parse(state) }).create(container);
 
-        const ws = new WebSocket('ws://localhost:8080');
-        ws.addEventListener('message', () => {
-          import('./app.js?t=' + Date.now()).then(newModule => {
-            const App = newModule.default;
-            const restored_state = app.capture_state();
-            app.destroy(container);
-            app = App({ restored_state });
-            app.create(container, false);
-          })
-        });
+        // the changed components replace themselves once imported again
+        connect('ws://localhost:8080');
       </script>
     </body>
-  </html>`
-  );
-  res.end();
+  </html>`,
+    // the styles are served from `/app.css`
+    css: false,
+  });
+  stream.on('error', (error) => {
+    console.error(error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
 });
 server.listen(8000);
 
@@ -55,19 +116,45 @@ const webSockets = [];
 const wss = new WebSocketServer({ port: 8080 });
 wss.on('connection', function connection(ws) {
   webSockets.push(ws);
+  if (buildErrors.length > 0) {
+    ws.send(JSON.stringify({ type: 'error', errors: buildErrors }));
+  }
   ws.on('error', console.error);
   ws.on('close', () => {
     webSockets.splice(webSockets.indexOf(ws), 1);
   });
 });
 
-fs.watchFile(
-  path.join(fileURLToPath(import.meta.url), '../app.svelte'),
-  { interval: 0 },
-  () => {
-    buildAppAndSsr();
-    for (const ws of webSockets) {
-      ws.send('something has changed');
-    }
+function broadcast(message) {
+  webSockets.forEach((ws) => ws.send(JSON.stringify(message)));
+}
+
+// rebuild once the burst of changes made by the editor is over,
+// and send the compiled components which have changed
+let rebuildTimeout = null;
+fs.watch(root, { recursive: true }, (event, filename) => {
+  if (!filename?.endsWith('.svelte') || filename.includes('node_modules')) {
+    return;
   }
-);
+  clearTimeout(rebuildTimeout);
+  rebuildTimeout = setTimeout(() => {
+    const previous = readOutputs();
+    buildErrors = build();
+    if (buildErrors.length > 0) {
+      broadcast({ type: 'error', errors: buildErrors });
+      return;
+    }
+    const changed = Array.from(readOutputs())
+      .filter(([filename, content]) => previous.get(filename) !== content)
+      .map(([filename]) => filename);
+    broadcast({
+      type: 'update',
+      modules: changed
+        .filter((filename) => filename.endsWith('.js'))
+        .map((filename) =>
+          path.posix.join('/', ...path.relative(root, filename).split(path.sep))
+        ),
+      css: changed.some((filename) => filename.endsWith('.css')),
+    });
+  }, 50);
+});